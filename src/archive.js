@@ -0,0 +1,263 @@
+const fs = require("fs");
+const crypto = require("crypto");
+
+// Copy file data in 1MB chunks so we never hold the whole archive in memory
+const COPY_CHUNK_SIZE = 1024 * 1024;
+
+/**
+ * Read and parse the ASAR header.
+ *
+ * ASAR format (two Chromium Pickles back to back):
+ *   Offset 0-3:   size pickle payload size (always 4)
+ *   Offset 4-7:   header pickle size in bytes
+ *   Offset 8-11:  header pickle payload size
+ *   Offset 12-15: header string length
+ *   Offset 16+:   header JSON string, zero-padded to a 4-byte boundary
+ *
+ * File data starts right after the header pickle (offset 8 + header pickle size).
+ * File offsets in the header are relative to that point.
+ */
+function readHeaderFromFd(fd) {
+  const headerMeta = Buffer.alloc(16);
+  if (fs.readSync(fd, headerMeta, 0, 16, 0) !== 16) {
+    throw new Error("File is too small to be an ASAR archive");
+  }
+
+  const headerPickleSize = headerMeta.readUInt32LE(4);
+  const headerStringLength = headerMeta.readUInt32LE(12);
+  if (headerStringLength + 8 > headerPickleSize) {
+    throw new Error("ASAR header sizes are inconsistent");
+  }
+
+  const headerString = Buffer.alloc(headerStringLength);
+  if (fs.readSync(fd, headerString, 0, headerStringLength, 16) !== headerStringLength) {
+    throw new Error("ASAR header is truncated");
+  }
+
+  const headerText = headerString.toString("utf-8");
+  return {
+    headerString: headerText,
+    header: JSON.parse(headerText),
+    dataOffset: 8 + headerPickleSize,
+  };
+}
+
+/**
+ * Look up a file entry in a parsed header by its "/"-separated path.
+ * Returns null if any path segment is missing.
+ */
+function findEntry(header, filePath) {
+  let node = header;
+  for (const part of filePath.split("/")) {
+    if (!node.files || !Object.prototype.hasOwnProperty.call(node.files, part)) {
+      return null;
+    }
+    node = node.files[part];
+  }
+  return node;
+}
+
+/**
+ * Call fn on every file entry (not directories) in the header.
+ */
+function walkFiles(node, fn) {
+  for (const name of Object.keys(node.files || {})) {
+    const child = node.files[name];
+    if (child.files) {
+      walkFiles(child, fn);
+    } else {
+      fn(child);
+    }
+  }
+}
+
+/**
+ * Serialize a header string into the size pickle + header pickle prefix.
+ */
+function buildHeaderBuffer(headerString) {
+  const stringBuf = Buffer.from(headerString, "utf-8");
+  const alignedLength = Math.ceil(stringBuf.length / 4) * 4;
+  const headerPickleSize = 8 + alignedLength;
+
+  const buf = Buffer.alloc(8 + headerPickleSize);
+  buf.writeUInt32LE(4, 0);
+  buf.writeUInt32LE(headerPickleSize, 4);
+  buf.writeUInt32LE(4 + alignedLength, 8);
+  buf.writeUInt32LE(stringBuf.length, 12);
+  stringBuf.copy(buf, 16);
+  return buf;
+}
+
+/**
+ * Compute the per-file integrity block the same way @electron/asar does:
+ * a hash of the whole file, plus one hash per block. The trailing (possibly
+ * empty) block is always included.
+ */
+function computeFileIntegrity(content, algorithm, blockSize) {
+  const alg = algorithm.toLowerCase();
+  const blocks = [];
+  let start = 0;
+  while (content.length - start >= blockSize) {
+    blocks.push(crypto.createHash(alg).update(content.subarray(start, start + blockSize)).digest("hex"));
+    start += blockSize;
+  }
+  blocks.push(crypto.createHash(alg).update(content.subarray(start)).digest("hex"));
+
+  return {
+    algorithm,
+    hash: crypto.createHash(alg).update(content).digest("hex"),
+    blockSize,
+    blocks,
+  };
+}
+
+function copyRange(srcFd, destFd, start, length) {
+  const chunk = Buffer.alloc(Math.min(COPY_CHUNK_SIZE, Math.max(length, 1)));
+  let copied = 0;
+  while (copied < length) {
+    const toRead = Math.min(chunk.length, length - copied);
+    const bytesRead = fs.readSync(srcFd, chunk, 0, toRead, start + copied);
+    if (bytesRead === 0) {
+      throw new Error("Unexpected end of archive while copying file data");
+    }
+    fs.writeSync(destFd, chunk, 0, bytesRead);
+    copied += bytesRead;
+  }
+}
+
+/**
+ * Read a single packed file out of an ASAR archive without extracting it.
+ * Returns a Buffer, or null if the file is not in the archive.
+ */
+function readAsarFile(asarPath, filePath) {
+  const fd = fs.openSync(asarPath, "r");
+  try {
+    const { header, dataOffset } = readHeaderFromFd(fd);
+    const entry = findEntry(header, filePath);
+    if (!entry || entry.files || entry.link) return null;
+    if (entry.unpacked) {
+      throw new Error(`${filePath} is stored in app.asar.unpacked, not inside the archive`);
+    }
+
+    const content = Buffer.alloc(entry.size);
+    const bytesRead = fs.readSync(fd, content, 0, entry.size, dataOffset + parseInt(entry.offset, 10));
+    if (bytesRead !== entry.size) {
+      throw new Error(`${filePath} is truncated inside the archive`);
+    }
+    return content;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Work out the header of an archive with one packed file replaced.
+ *
+ * Only the replaced entry's size and integrity change in the header; files
+ * stored after it have their offsets shifted. Everything else (unpacked
+ * entries, executable flags, other files' integrity) is kept as-is.
+ *
+ * Returns { success, error?, headerString?, dataOffset?, oldOffset?, oldSize? }
+ */
+function planReplacement(srcFd, filePath, content) {
+  const { headerString, header, dataOffset } = readHeaderFromFd(srcFd);
+
+  // We re-serialize the header with JSON.stringify, exactly as @electron/asar
+  // does. If that doesn't round-trip, we can't promise a byte-for-byte header.
+  if (JSON.stringify(header) !== headerString) {
+    return {
+      success: false,
+      error:
+        "The app.asar header is not in the expected format.\n" +
+        "  Refusing to rewrite it, since other entries could change.",
+    };
+  }
+
+  const entry = findEntry(header, filePath);
+  if (!entry || entry.files || entry.link) {
+    return { success: false, error: `${filePath} not found inside app.asar` };
+  }
+  if (entry.unpacked) {
+    return {
+      success: false,
+      error: `${filePath} is stored in app.asar.unpacked — cannot replace it inside the archive`,
+    };
+  }
+
+  const oldOffset = parseInt(entry.offset, 10);
+  const oldSize = entry.size;
+  const oldEnd = oldOffset + oldSize;
+  const delta = content.length - oldSize;
+
+  walkFiles(header, (file) => {
+    if (file === entry || file.unpacked || file.offset === undefined) return;
+    const offset = parseInt(file.offset, 10);
+    if (offset >= oldEnd) {
+      file.offset = String(offset + delta);
+    }
+  });
+
+  entry.size = content.length;
+  if (entry.integrity) {
+    entry.integrity = computeFileIntegrity(
+      content,
+      entry.integrity.algorithm,
+      entry.integrity.blockSize
+    );
+  }
+
+  return { success: true, headerString: JSON.stringify(header), dataOffset, oldOffset, oldSize };
+}
+
+/**
+ * The header string replaceAsarFile would write, without writing anything.
+ * Returns { success, headerString?, error? }
+ */
+function previewAsarReplacement(asarPath, filePath, content) {
+  let fd;
+  try {
+    fd = fs.openSync(asarPath, "r");
+    const plan = planReplacement(fd, filePath, content);
+    if (!plan.success) return plan;
+    return { success: true, headerString: plan.headerString };
+  } catch (err) {
+    return { success: false, error: `Failed to read app.asar: ${err.message}` };
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+}
+
+/**
+ * Write a copy of srcPath to destPath with one packed file replaced (see
+ * planReplacement for what changes). The untouched file data is streamed
+ * across without extraction.
+ *
+ * Returns { success, error?, oldSize?, newSize? }
+ */
+function replaceAsarFile(srcPath, destPath, filePath, content) {
+  let srcFd;
+  let destFd;
+  try {
+    srcFd = fs.openSync(srcPath, "r");
+    const plan = planReplacement(srcFd, filePath, content);
+    if (!plan.success) return plan;
+    const { headerString, dataOffset, oldOffset, oldSize } = plan;
+    const oldEnd = oldOffset + oldSize;
+
+    const srcSize = fs.fstatSync(srcFd).size;
+    destFd = fs.openSync(destPath, "w");
+    fs.writeSync(destFd, buildHeaderBuffer(headerString));
+    copyRange(srcFd, destFd, dataOffset, oldOffset);
+    fs.writeSync(destFd, content);
+    copyRange(srcFd, destFd, dataOffset + oldEnd, srcSize - dataOffset - oldEnd);
+
+    return { success: true, oldSize, newSize: content.length };
+  } catch (err) {
+    return { success: false, error: `Failed to rewrite app.asar: ${err.message}` };
+  } finally {
+    if (srcFd !== undefined) fs.closeSync(srcFd);
+    if (destFd !== undefined) fs.closeSync(destFd);
+  }
+}
+
+module.exports = { readAsarFile, replaceAsarFile, previewAsarReplacement };
@@ -0,0 +1,81 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Crash-safe file replacement.
+ *
+ * Every write to the Claude install goes to a sibling temp file first. Once
+ * it is complete it is fsynced and renamed over the target, so a killed
+ * process leaves either the old file or the new one — never half of each.
+ */
+
+const TEMP_SUFFIX = ".rtl-tmp";
+
+function getTempPath(targetPath) {
+  return targetPath + TEMP_SUFFIX;
+}
+
+function fsyncPath(filePath) {
+  const fd = fs.openSync(filePath, "r+");
+  try {
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function fsyncDir(dirPath) {
+  // Directories can't be opened for fsync on Windows; the rename is still atomic there.
+  try {
+    const fd = fs.openSync(dirPath, "r");
+    try {
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+  } catch {
+    // Best effort
+  }
+}
+
+function removeTemp(tempPath) {
+  try {
+    fs.unlinkSync(tempPath);
+  } catch {
+    // Best effort
+  }
+}
+
+/**
+ * Replace targetPath atomically. write(tempPath) must fully create the temp
+ * file and throw on failure; its return value is passed through.
+ * If anything fails, the temp file is removed and targetPath is untouched.
+ */
+function replaceFileAtomic(targetPath, write) {
+  const tempPath = getTempPath(targetPath);
+  removeTemp(tempPath);
+  try {
+    const result = write(tempPath);
+    fsyncPath(tempPath);
+    fs.renameSync(tempPath, targetPath);
+    fsyncDir(path.dirname(targetPath));
+    return result;
+  } catch (err) {
+    removeTemp(tempPath);
+    throw err;
+  }
+}
+
+/**
+ * Copy srcPath over destPath atomically. The copy itself is done by the OS,
+ * so large files are never loaded into memory.
+ */
+function copyFileAtomic(srcPath, destPath) {
+  replaceFileAtomic(destPath, (tempPath) => fs.copyFileSync(srcPath, tempPath));
+}
+
+function writeFileAtomic(destPath, data) {
+  replaceFileAtomic(destPath, (tempPath) => fs.writeFileSync(tempPath, data));
+}
+
+module.exports = { replaceFileAtomic, copyFileAtomic, writeFileAtomic };
@@ -0,0 +1,175 @@
+const fs = require("fs");
+const crypto = require("crypto");
+const { readAt, readPeHeaders, getCertificateTable } = require("./pe");
+
+/**
+ * Authenticode inspection for claude.exe.
+ *
+ * The signature lives in the certificate table as a PKCS#7 SignedData blob.
+ * Its SpcIndirectDataContent carries a digest of the file computed with three
+ * regions left out: the CheckSum field, the certificate table directory entry
+ * and the certificate table itself. We recompute that digest and compare.
+ *
+ * This only tells us whether the signed digest still covers the current bytes.
+ * It does not validate the certificate chain — Windows does that.
+ */
+
+const SPC_INDIRECT_DATA_OID = "1.3.6.1.4.1.311.2.1.4";
+const WIN_CERT_TYPE_PKCS_SIGNED_DATA = 0x0002;
+const CHUNK_SIZE = 1024 * 1024;
+
+const DIGEST_ALGORITHMS = {
+  "1.3.14.3.2.26": "sha1",
+  "2.16.840.1.101.3.4.2.1": "sha256",
+  "2.16.840.1.101.3.4.2.2": "sha384",
+  "2.16.840.1.101.3.4.2.3": "sha512",
+};
+
+/**
+ * Read one DER TLV at pos. Returns { tag, start, end } where start/end bound the value.
+ */
+function readTlv(buf, pos) {
+  const tag = buf[pos];
+  let length = buf[pos + 1];
+  let headerLength = 2;
+  if (length & 0x80) {
+    const lengthBytes = length & 0x7f;
+    if (lengthBytes === 0 || lengthBytes > 4) {
+      throw new Error("Unsupported DER length encoding in signature");
+    }
+    length = 0;
+    for (let i = 0; i < lengthBytes; i++) {
+      length = length * 256 + buf[pos + 2 + i];
+    }
+    headerLength += lengthBytes;
+  }
+  const start = pos + headerLength;
+  if (start + length > buf.length) {
+    throw new Error("Truncated DER element in signature");
+  }
+  return { tag, start, end: start + length };
+}
+
+function readChildren(buf, parent) {
+  const children = [];
+  let pos = parent.start;
+  while (pos < parent.end) {
+    const child = readTlv(buf, pos);
+    children.push(child);
+    pos = child.end;
+  }
+  return children;
+}
+
+function decodeOid(buf, tlv) {
+  const bytes = buf.subarray(tlv.start, tlv.end);
+  const parts = [Math.floor(bytes[0] / 40), bytes[0] % 40];
+  let value = 0;
+  for (let i = 1; i < bytes.length; i++) {
+    value = value * 128 + (bytes[i] & 0x7f);
+    if (!(bytes[i] & 0x80)) {
+      parts.push(value);
+      value = 0;
+    }
+  }
+  return parts.join(".");
+}
+
+/**
+ * Walk the SignedData tree looking for
+ *   SEQUENCE { OID spcIndirectDataContext, [0] { SEQUENCE { data, DigestInfo } } }
+ * and return the DigestInfo's algorithm and digest.
+ */
+function findSignedDigest(buf, node) {
+  const isConstructed = (node.tag & 0x20) !== 0;
+  if (!isConstructed) return null;
+
+  const children = readChildren(buf, node);
+  if (
+    node.tag === 0x30 &&
+    children.length >= 2 &&
+    children[0].tag === 0x06 &&
+    children[1].tag === 0xa0 &&
+    decodeOid(buf, children[0]) === SPC_INDIRECT_DATA_OID
+  ) {
+    const [content] = readChildren(buf, children[1]);
+    const [, digestInfo] = readChildren(buf, content);
+    const [algorithmId, digest] = readChildren(buf, digestInfo);
+    const [algorithmOid] = readChildren(buf, algorithmId);
+    return {
+      algorithm: DIGEST_ALGORITHMS[decodeOid(buf, algorithmOid)] || null,
+      digest: buf.subarray(digest.start, digest.end).toString("hex"),
+    };
+  }
+
+  for (const child of children) {
+    const found = findSignedDigest(buf, child);
+    if (found) return found;
+  }
+  return null;
+}
+
+function hashRange(fd, hash, start, end) {
+  const chunk = Buffer.alloc(CHUNK_SIZE);
+  for (let pos = start; pos < end; pos += CHUNK_SIZE) {
+    const length = Math.min(CHUNK_SIZE, end - pos);
+    fs.readSync(fd, chunk, 0, length, pos);
+    hash.update(chunk.subarray(0, length));
+  }
+}
+
+/**
+ * Compute the Authenticode image digest of an open PE file.
+ */
+function computeImageDigest(fd, pe, certTable, algorithm) {
+  const fileSize = fs.fstatSync(fd).size;
+  const hash = crypto.createHash(algorithm);
+  hashRange(fd, hash, 0, pe.checksumOffset);
+  hashRange(fd, hash, pe.checksumOffset + 4, certTable.entryOffset);
+  hashRange(fd, hash, certTable.entryOffset + 8, certTable.offset);
+  hashRange(fd, hash, certTable.offset + certTable.size, fileSize);
+  return hash.digest("hex");
+}
+
+/**
+ * Report the Authenticode state of an exe.
+ *
+ * Returns one of:
+ *   { signed: false }
+ *   { signed: true, algorithm, intact: true|false }
+ *   { signed: true|null, intact: null, error }   (couldn't tell)
+ */
+function readAuthenticode(exePath) {
+  let fd;
+  try {
+    fd = fs.openSync(exePath, "r");
+    const pe = readPeHeaders(fd);
+    const certTable = getCertificateTable(pe);
+    if (!certTable) return { signed: false };
+
+    const winCert = readAt(fd, certTable.offset, 8);
+    const certLength = winCert.readUInt32LE(0);
+    const certType = winCert.readUInt16LE(6);
+    if (certType !== WIN_CERT_TYPE_PKCS_SIGNED_DATA || certLength < 8 || certLength > certTable.size) {
+      return { signed: true, intact: null, error: "Unsupported certificate type in claude.exe" };
+    }
+
+    const der = readAt(fd, certTable.offset + 8, certLength - 8);
+    const signed = findSignedDigest(der, readTlv(der, 0));
+    if (!signed) {
+      return { signed: true, intact: null, error: "Could not find the signed file digest" };
+    }
+    if (!signed.algorithm) {
+      return { signed: true, intact: null, error: "Unsupported signature digest algorithm" };
+    }
+
+    const digest = computeImageDigest(fd, pe, certTable, signed.algorithm);
+    return { signed: true, algorithm: signed.algorithm, intact: digest === signed.digest };
+  } catch (err) {
+    return { signed: null, intact: null, error: `Could not read signature: ${err.message}` };
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+}
+
+module.exports = { readAuthenticode };
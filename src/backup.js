@@ -1,79 +1,402 @@
 const fs = require("fs");
 const path = require("path");
+const os = require("os");
+const crypto = require("crypto");
+const { copyFileAtomic, writeFileAtomic } = require("./atomic");
+const { ErrorCodes } = require("./errors");
+const { readJournal } = require("./journal");
+const {
+  computeAsarHeaderHash,
+  readEmbeddedHash,
+  readIntegrityHash,
+  readInstallHash,
+  ASAR_INTEGRITY_FILE,
+} = require("./integrity");
+
+/**
+ * Backups live outside the install, so Claude's updater can't delete them
+ * along with old app-* folders:
+ *
+ *   %APPDATA%\claude-rtl-fixer\backups\<claude version>\<timestamp>\
+ *     app.asar, claude.exe, manifest.json
+ *
+ * (~/Library/Application Support on macOS, $XDG_DATA_HOME or ~/.local/share
+ * on Linux.) A backup holds app.asar plus the file carrying the integrity
+ * hash — claude.exe, or Info.plist on macOS; Linux builds have none.
+ *
+ * Earlier releases kept app.asar.bak / claude.exe.bak next to the live files.
+ * Those "legacy" backups can still be restored.
+ */
 
 const MARKER_FILE = ".rtl-patched.json";
+const MANIFEST_FILE = "manifest.json";
+const HASH_CHUNK_SIZE = 1024 * 1024;
+
+/** Manifests written before other layouts were supported always held claude.exe */
+const DEFAULT_HASH_SOURCE = { file: "claude.exe", format: "pe", key: ASAR_INTEGRITY_FILE };
 
 function getMarkerPath(resourcesDir) {
   return path.join(resourcesDir, MARKER_FILE);
 }
 
-function getBackupPaths(install) {
+function getAppDataDir() {
+  if (process.platform === "darwin") {
+    return path.join(os.homedir(), "Library", "Application Support");
+  }
+  if (process.platform === "win32") {
+    return process.env.APPDATA || path.join(os.homedir(), "AppData", "Roaming");
+  }
+  return process.env.XDG_DATA_HOME || path.join(os.homedir(), ".local", "share");
+}
+
+function getBackupStoreDir() {
+  return path.join(getAppDataDir(), "claude-rtl-fixer", "backups");
+}
+
+/**
+ * The install files a backup holds, by name in the backup folder.
+ */
+function getInstallFiles(install) {
+  const files = { "app.asar": install.asarPath };
+  if (install.hashPath) files[path.basename(install.hashPath)] = install.hashPath;
+  return files;
+}
+
+function getHashSource(backup) {
+  return backup.hashSource === undefined ? DEFAULT_HASH_SOURCE : backup.hashSource;
+}
+
+function getLegacyBackupPaths(install) {
   return {
     asarBackup: install.asarPath + ".bak",
     exeBackup: install.exePath + ".bak",
-    markerPath: getMarkerPath(install.resourcesDir),
   };
 }
 
+function hasLegacyBackups(install) {
+  // Only the Windows-only releases made them
+  if (install.hashFormat !== "pe") return false;
+  const { asarBackup, exeBackup } = getLegacyBackupPaths(install);
+  return fs.existsSync(asarBackup) && fs.existsSync(exeBackup);
+}
+
 /**
- * Create backups of app.asar and claude.exe before patching.
- * Will NOT overwrite existing backups (safety).
+ * Size and SHA-256 of a file, hashed in chunks so large files stay out of memory.
  */
-function createBackup(install) {
-  const { asarBackup, exeBackup, markerPath } = getBackupPaths(install);
+function fileFingerprint(filePath) {
+  const hash = crypto.createHash("sha256");
+  const chunk = Buffer.alloc(HASH_CHUNK_SIZE);
+  const fd = fs.openSync(filePath, "r");
+  try {
+    let size = 0;
+    let bytesRead;
+    while ((bytesRead = fs.readSync(fd, chunk, 0, chunk.length, size)) > 0) {
+      hash.update(chunk.subarray(0, bytesRead));
+      size += bytesRead;
+    }
+    return { size, sha256: hash.digest("hex") };
+  } finally {
+    fs.closeSync(fd);
+  }
+}
 
-  // Don't overwrite existing backups — they represent the original state
-  if (fs.existsSync(asarBackup) && fs.existsSync(exeBackup)) {
-    return {
-      success: true,
-      skipped: true,
-      message: "Backups already exist (from a previous patch). Using existing backups.",
-    };
+function sameFingerprint(a, b) {
+  return Boolean(a && b) && a.size === b.size && a.sha256 === b.sha256;
+}
+
+function readBackupEntry(dir) {
+  try {
+    const manifest = JSON.parse(fs.readFileSync(path.join(dir, MANIFEST_FILE), "utf-8"));
+    return { ...manifest, dir };
+  } catch {
+    return null;
   }
+}
+
+/**
+ * All backups in the store, newest first.
+ */
+function listBackups() {
+  const storeDir = getBackupStoreDir();
+  if (!fs.existsSync(storeDir)) return [];
 
+  const backups = [];
+  for (const versionDir of fs.readdirSync(storeDir, { withFileTypes: true })) {
+    if (!versionDir.isDirectory()) continue;
+    const versionPath = path.join(storeDir, versionDir.name);
+    for (const backupDir of fs.readdirSync(versionPath, { withFileTypes: true })) {
+      if (!backupDir.isDirectory()) continue;
+      const entry = readBackupEntry(path.join(versionPath, backupDir.name));
+      if (entry) backups.push(entry);
+    }
+  }
+  return backups.sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+}
+
+function findBackup(backupId) {
+  return listBackups().find((b) => b.id === backupId) || null;
+}
+
+/**
+ * Create a backup of app.asar and the hash file (claude.exe) before patching.
+ * An existing backup of this Claude version is reused only if it is identical
+ * to the current (unpatched) files.
+ *
+ * Returns { success, skipped?, backup?, message?, error? }
+ */
+function createBackup(install) {
+  let backupDir;
   try {
-    fs.copyFileSync(install.asarPath, asarBackup);
-    fs.copyFileSync(install.exePath, exeBackup);
-    return { success: true, skipped: false };
+    // We only get here with an unpatched install, so the live files are the originals
+    const installFiles = getInstallFiles(install);
+    const fingerprints = {};
+    for (const [name, filePath] of Object.entries(installFiles)) {
+      fingerprints[name] = fileFingerprint(filePath);
+    }
+
+    const existing = listBackups().find(
+      (b) =>
+        b.claudeVersion === install.version &&
+        Object.keys(b.files).length === Object.keys(fingerprints).length &&
+        Object.entries(fingerprints).every(([name, info]) => sameFingerprint(b.files[name], info))
+    );
+    if (existing) {
+      return {
+        success: true,
+        skipped: true,
+        backup: existing,
+        message: `Backup ${existing.id} already matches the current files. Using it.`,
+      };
+    }
+
+    const createdAt = new Date();
+    const stamp = createdAt.toISOString().replace(/[-:]/g, "").replace(/\.\d+Z$/, "Z");
+    const versionDir = path.join(getBackupStoreDir(), install.version);
+    let name = stamp;
+    for (let n = 2; fs.existsSync(path.join(versionDir, name)); n++) {
+      name = `${stamp}-${n}`;
+    }
+    backupDir = path.join(versionDir, name);
+    fs.mkdirSync(backupDir, { recursive: true });
+
+    for (const [name, filePath] of Object.entries(installFiles)) {
+      copyFileAtomic(filePath, path.join(backupDir, name));
+      if (!sameFingerprint(fileFingerprint(path.join(backupDir, name)), fingerprints[name])) {
+        throw new Error(`Backup copy of ${name} does not match the original`);
+      }
+    }
+
+    const embedded = readInstallHash(install);
+    const manifest = {
+      tool: "claude-rtl-fixer",
+      version: require("../package.json").version,
+      id: `${install.version}-${name}`,
+      createdAt: createdAt.toISOString(),
+      claudeVersion: install.version,
+      source: install.appDir,
+      integrityHash: embedded.found ? embedded.hash : null,
+      hashSource: install.hashPath
+        ? { file: path.basename(install.hashPath), format: install.hashFormat, key: install.hashKey }
+        : null,
+      files: fingerprints,
+    };
+    writeFileAtomic(path.join(backupDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+
+    return { success: true, skipped: false, backup: { ...manifest, dir: backupDir } };
   } catch (err) {
-    // Clean up partial backups
-    try { fs.unlinkSync(asarBackup); } catch (_) {}
-    try { fs.unlinkSync(exeBackup); } catch (_) {}
+    // Clean up a partial backup
+    if (backupDir) {
+      try { fs.rmSync(backupDir, { recursive: true, force: true }); } catch (_) {}
+    }
     return {
       success: false,
       error:
         `Failed to create backups: ${err.message}\n` +
+        `  Backup folder: ${getBackupStoreDir()}\n` +
         "  Make sure Claude Desktop is not running, and you have write permissions.",
     };
   }
 }
 
 /**
- * Restore original files from backups.
+ * Check a stored backup against its manifest: size, SHA-256 and the integrity
+ * hash embedded in the backed-up hash file.
+ *
+ * Returns { ok, problems }
  */
-function restoreBackup(install) {
-  const { asarBackup, exeBackup, markerPath } = getBackupPaths(install);
+function verifyBackup(backup) {
+  const problems = [];
+  const hashSource = getHashSource(backup);
 
-  if (!fs.existsSync(asarBackup) || !fs.existsSync(exeBackup)) {
-    return {
-      success: false,
-      error:
-        "Backup files not found — cannot restore.\n" +
-        `  Expected:\n    ${asarBackup}\n    ${exeBackup}\n` +
-        "  If you need to fix Claude, try reinstalling it.",
-    };
+  for (const name of ["app.asar", ...(hashSource ? [hashSource.file] : [])]) {
+    const filePath = path.join(backup.dir, name);
+    const expected = backup.files && backup.files[name];
+    if (!expected) {
+      problems.push(`${name}: missing from the manifest`);
+      continue;
+    }
+    if (!fs.existsSync(filePath)) {
+      problems.push(`${name}: file is missing`);
+      continue;
+    }
+    const actualSize = fs.statSync(filePath).size;
+    if (actualSize !== expected.size) {
+      problems.push(`${name}: size is ${actualSize} bytes, expected ${expected.size}`);
+    } else if (fileFingerprint(filePath).sha256 !== expected.sha256) {
+      problems.push(`${name}: SHA-256 does not match the manifest`);
+    }
   }
 
+  if (backup.integrityHash && hashSource && problems.length === 0) {
+    const embedded = readIntegrityHash(
+      hashSource.format,
+      path.join(backup.dir, hashSource.file),
+      hashSource.key
+    );
+    if (!embedded.found || embedded.hash !== backup.integrityHash) {
+      problems.push(`${hashSource.file}: embedded integrity hash does not match the manifest`);
+    }
+  }
+
+  return { ok: problems.length === 0, problems };
+}
+
+/**
+ * Legacy .bak backups have no manifest, so only check they are consistent:
+ * app.asar.bak must match the hash embedded in claude.exe.bak. A backup whose
+ * hash can't be read fails too — it can't be shown to be the original.
+ */
+function verifyLegacyBackup(install) {
+  const { asarBackup, exeBackup } = getLegacyBackupPaths(install);
+  const problems = [];
+  const embedded = readEmbeddedHash(exeBackup);
+  if (!embedded.found) {
+    problems.push(`claude.exe.bak: could not read its integrity hash: ${embedded.error}`);
+    return { ok: false, problems };
+  }
+  let asarHash;
   try {
-    fs.copyFileSync(asarBackup, install.asarPath);
-    fs.copyFileSync(exeBackup, install.exePath);
+    asarHash = computeAsarHeaderHash(asarBackup);
+  } catch (err) {
+    problems.push(`app.asar.bak: could not read its header: ${err.message}`);
+    return { ok: false, problems };
+  }
+  if (embedded.hash !== asarHash) {
+    problems.push("app.asar.bak does not match the integrity hash in claude.exe.bak");
+  }
+  return { ok: problems.length === 0, problems };
+}
 
-    // Clean up backup files and marker
-    fs.unlinkSync(asarBackup);
-    fs.unlinkSync(exeBackup);
+/**
+ * Pick the backup to restore for an install: an explicit id, else the one the
+ * marker or an interrupted patch's journal points to, else the newest backup
+ * of this Claude version, else legacy .bak files. Callers check that the
+ * install is patched before restoring without an explicit id.
+ *
+ * Returns { backup } | { legacy: true } | { error }
+ */
+function resolveBackup(install, backupId) {
+  if (backupId) {
+    const backup = findBackup(backupId);
+    return backup
+      ? { backup }
+      : { code: ErrorCodes.NO_BACKUPS, error: `No backup with id "${backupId}".` };
+  }
+
+  const marker = isPatchedOnDisk(install);
+  const journal = readJournal(install);
+  for (const id of [marker.info && marker.info.backupId, journal && journal.backupId]) {
+    const backup = id && findBackup(id);
+    if (backup) return { backup };
+  }
+
+  const latest = listBackups().find((b) => b.claudeVersion === install.version);
+  if (latest) return { backup: latest };
+  if (hasLegacyBackups(install)) return { legacy: true };
+
+  return {
+    code: ErrorCodes.NO_BACKUPS,
+    error:
+      "Backup files not found — cannot restore.\n" +
+      `  Looked in: ${getBackupStoreDir()}\n` +
+      "  If you need to fix Claude, try reinstalling it.",
+  };
+}
+
+/**
+ * Restore original files from a backup (see resolveBackup for which one).
+ * Returns { success, backupId?, error? }
+ */
+function restoreBackup(install, backupId) {
+  const resolved = resolveBackup(install, backupId);
+  if (resolved.error) return { success: false, code: resolved.code, error: resolved.error };
+
+  // backup file -> install file
+  let copies;
+  if (resolved.legacy) {
+    const verification = verifyLegacyBackup(install);
+    if (!verification.ok) {
+      return {
+        success: false,
+        code: ErrorCodes.INTEGRITY_MISMATCH,
+        error:
+          "Backup files are inconsistent — refusing to restore them.\n" +
+          verification.problems.map((p) => `  - ${p}`).join("\n") +
+          "\n  To fix Claude, reinstall it.",
+      };
+    }
+    const { asarBackup, exeBackup } = getLegacyBackupPaths(install);
+    copies = [
+      [asarBackup, install.asarPath],
+      [exeBackup, install.exePath],
+    ];
+  } else {
+    const backup = resolved.backup;
+    if (backup.claudeVersion !== install.version) {
+      return {
+        success: false,
+        error:
+          `Backup ${backup.id} is of Claude ${backup.claudeVersion}, ` +
+          `but this install is ${install.version} — refusing to restore it.`,
+      };
+    }
+    const verification = verifyBackup(backup);
+    if (!verification.ok) {
+      return {
+        success: false,
+        code: ErrorCodes.INTEGRITY_MISMATCH,
+        error:
+          `Backup ${backup.id} does not match its manifest — refusing to restore it.\n` +
+          verification.problems.map((p) => `  - ${p}`).join("\n") +
+          "\n  To fix Claude, reinstall it.",
+      };
+    }
+    const installFiles = getInstallFiles(install);
+    const names = Object.keys(installFiles);
+    if (names.length !== Object.keys(backup.files).length || !names.every((n) => backup.files[n])) {
+      return {
+        success: false,
+        error:
+          `Backup ${backup.id} holds ${Object.keys(backup.files).join(", ")}, ` +
+          `but this install needs ${names.join(", ")} — refusing to restore it.`,
+      };
+    }
+    copies = names.map((name) => [path.join(backup.dir, name), installFiles[name]]);
+  }
+
+  try {
+    for (const [source, target] of copies) {
+      copyFileAtomic(source, target);
+    }
+
+    // Stored backups are kept (see pruneBackups); legacy .bak files are cleaned up
+    if (resolved.legacy) {
+      for (const [source] of copies) fs.unlinkSync(source);
+    }
+    const markerPath = getMarkerPath(install.resourcesDir);
     if (fs.existsSync(markerPath)) fs.unlinkSync(markerPath);
 
-    return { success: true };
+    return { success: true, backupId: resolved.legacy ? null : resolved.backup.id };
   } catch (err) {
     return {
       success: false,
@@ -84,19 +407,55 @@ function restoreBackup(install) {
   }
 }
 
+/**
+ * Delete all but the newest `keep` backups. Backups in protectedIds (e.g. the
+ * ones a patched install still points to) are never deleted.
+ *
+ * Returns { removed: [ids], kept: [ids] }
+ */
+function pruneBackups(keep, protectedIds = []) {
+  const removed = [];
+  const kept = [];
+  listBackups().forEach((backup, index) => {
+    if (index < keep || protectedIds.includes(backup.id)) {
+      kept.push(backup.id);
+      return;
+    }
+    fs.rmSync(backup.dir, { recursive: true, force: true });
+    removed.push(backup.id);
+
+    // Drop the version folder once it's empty
+    const versionDir = path.dirname(backup.dir);
+    try {
+      if (fs.readdirSync(versionDir).length === 0) fs.rmdirSync(versionDir);
+    } catch (_) {}
+  });
+  return { removed, kept };
+}
+
 /**
  * Write a marker file indicating the app has been patched.
+ *   originalHash, patchedHash  ASAR header hash of the stock and the patched app.asar
+ *   config          { hash, path, features } of the configuration the payload was built from
+ *   payloadHash     content hash from the injected block's header (see readPayloadInfo)
+ *   mods            names of the other mods mainView.js had when it was backed up (see mods.js)
+ *   previousVersion the tool version that patched it before, after an update
  */
-function writeMarker(install, oldHash, newHash) {
+function writeMarker(install, { originalHash, patchedHash, backupId, config, payloadHash, mods, previousVersion }) {
   const markerPath = getMarkerPath(install.resourcesDir);
   const data = {
     tool: "claude-rtl-fixer",
     version: require("../package.json").version,
+    previousVersion: previousVersion || null,
     patchedAt: new Date().toISOString(),
     claudeVersion: install.version,
-    hashes: { original: oldHash, patched: newHash },
+    hashes: { original: originalHash || null, patched: patchedHash },
+    backupId: backupId || null,
+    config: config || null,
+    payloadHash: payloadHash || null,
+    mods: mods || null,
   };
-  fs.writeFileSync(markerPath, JSON.stringify(data, null, 2));
+  writeFileAtomic(markerPath, JSON.stringify(data, null, 2));
 }
 
 /**
@@ -116,16 +475,23 @@ function isPatchedOnDisk(install) {
 }
 
 /**
- * Check if backup files exist.
+ * Check if there is a backup this install could be restored from.
  */
 function hasBackups(install) {
-  const { asarBackup, exeBackup } = getBackupPaths(install);
-  return fs.existsSync(asarBackup) && fs.existsSync(exeBackup);
+  return !resolveBackup(install).error;
 }
 
 module.exports = {
   createBackup,
   restoreBackup,
+  verifyBackup,
+  verifyLegacyBackup,
+  listBackups,
+  findBackup,
+  pruneBackups,
+  hasLegacyBackups,
+  getAppDataDir,
+  getBackupStoreDir,
   writeMarker,
   isPatchedOnDisk,
   hasBackups,
@@ -1,29 +1,159 @@
 #!/usr/bin/env node
 
-const { patch, unpatch, status } = require("./patcher");
+const path = require("path");
+const readline = require("readline");
+const { createFixer, RtlFixerError } = require("./index");
+const { FEATURE_MODULES, FEATURES } = require("./features");
 
 const HELP = `
-Claude RTL Fixer — Fix RTL text rendering in Claude Desktop (Windows)
+Claude RTL Fixer — Fix RTL text rendering in Claude Desktop
 
 Usage:
   claude-rtl patch      Apply the RTL fix (backs up original files first)
+                        --dry-run: run every check and show what would
+                        change (mainView.js diff, hashes), changing nothing
+  claude-rtl update     Replace the installed RTL fix with this version's
+                        payload (after upgrading claude-rtl-fixer or changing
+                        the config), keeping the original backups
+                        (alias: repatch)
   claude-rtl unpatch    Remove the RTL fix and restore original files
   claude-rtl status     Show current patch status and Claude version info
+  claude-rtl backups list
+                        List stored backups (by Claude version and date)
+  claude-rtl backups restore <id>
+                        Restore a specific backup
+  claude-rtl backups prune --keep N
+                        Delete all but the newest N backups
+  claude-rtl verify-backups
+                        Check the backups against their checksum manifest
+  claude-rtl watch      Keep running and patch new Claude versions as they
+                        are installed (Ctrl+C to stop)
+  claude-rtl recover    Finish or roll back a patch that was interrupted
+                        (--finish or --rollback; asks if neither is given)
   claude-rtl help       Show this help message
 
+Options for patch, update, unpatch and status:
+  --version X.Y.Z       Act on that installed Claude version (default: newest)
+  --all                 Act on every installed Claude version
+
+Options for every command:
+  --install-dir DIR     Use the Claude Desktop install in DIR instead of the
+                        default location (or set CLAUDE_RTL_INSTALL_DIR).
+                        DIR may be a Windows install folder (with app-X.Y.Z
+                        folders), a macOS Claude.app, or a Linux build folder.
+  --config FILE         Read payload settings (extra scripts, selectors,
+                        features) from FILE instead of ~/.claude-rtl.json
+  --json                Print one JSON result instead of text (watch prints
+                        one JSON object per line). Never prompts.
+
+Payload features (patch, update, status, watch and recover; all on by default,
+but update and status keep the features the install was patched with):
+${FEATURE_MODULES.map((f) => `  ${f.name.padEnd(22)}${f.description}`).join("\n")}
+  --features a,b,c      Turn on only the listed features
+  --no-<feature>        Turn one feature off (e.g. --no-input)
+
+Exit codes:
+  0 success              5 files locked           9 not patched
+  1 other error          6 integrity mismatch    10 interrupted patch pending
+  2 bad command line     7 already patched       11 invalid config file
+  3 not installed        8 no backups
+  4 Claude is running
+
 Safety:
-  - Original files are backed up before any changes
+  - Original files are backed up before any changes, to
+    %APPDATA%\\claude-rtl-fixer\\backups (survives Claude updates;
+    ~/Library/Application Support on macOS, ~/.local/share on Linux)
   - Run "unpatch" anytime to restore the original state
   - If Claude crashes after patching, just run "unpatch" to fix it
+  - If a patch is interrupted (crash, Ctrl+C), the next run offers to
+    finish it or roll it back
 
 Requirements:
   - Claude Desktop must NOT be running (close it first, check system tray)
   - Node.js 16 or later
-  - Windows only (for now)
 
 Created by Yuval Ra — https://www.linkedin.com/in/yuvalra/
 `;
 
+/**
+ * Exit codes, one per failure class (ErrorCodes in errors.js). Scripts rely
+ * on these numbers, so never renumber them — only add new ones.
+ */
+const EXIT_CODES = {
+  OK: 0,
+  FAILED: 1,
+  USAGE: 2,
+  NOT_INSTALLED: 3,
+  RUNNING: 4,
+  LOCKED: 5,
+  INTEGRITY_MISMATCH: 6,
+  ALREADY_PATCHED: 7,
+  NO_BACKUPS: 8,
+  NOT_PATCHED: 9,
+  INTERRUPTED: 10,
+  CONFIG_INVALID: 11,
+};
+
+const jsonOutput = process.argv.includes("--json");
+
+/** The API every command goes through; created in main() */
+let fixer;
+
+/**
+ * Print a progress event from the fixer. Not subscribed with --json, so
+ * stdout holds only the result.
+ */
+function printProgress(event) {
+  if (event.type === "version") console.log(`\n  ${event.message}`);
+  else if (event.message) console.log(`  ${event.message}`);
+}
+
+function exitCodeFor(result) {
+  if (result.success !== false) return EXIT_CODES.OK;
+  return EXIT_CODES[result.code] || EXIT_CODES.FAILED;
+}
+
+/**
+ * With --all, the exit code of the first version that failed.
+ */
+function exitCodeForAll(result) {
+  const failed = (result.results || []).find((r) => !r.success);
+  return exitCodeFor(failed || result);
+}
+
+/**
+ * --json: print the command's result as one JSON object and exit.
+ */
+function printJson(result, exitCode = exitCodeFor(result)) {
+  console.log(JSON.stringify({ command: process.argv[2] || null, exitCode, ...result }, null, 2));
+  process.exit(exitCode);
+}
+
+/**
+ * Report a failed operation (an RtlFixerError from the fixer) and exit with
+ * its code. Anything else is a bug and is rethrown to main().
+ */
+function fail(err, label) {
+  if (!(err instanceof RtlFixerError)) throw err;
+  const exitCode = EXIT_CODES[err.code] || EXIT_CODES.FAILED;
+  if (jsonOutput) {
+    printJson({ success: false, code: err.code, error: err.message, ...err.details }, exitCode);
+  }
+  console.error(`\n  ${label ? `${label}: ` : ""}${err.message}\n`);
+  process.exit(exitCode);
+}
+
+/**
+ * Report a bad command line and exit.
+ */
+function usageError(message) {
+  if (jsonOutput) {
+    printJson({ success: false, code: "USAGE", error: message }, EXIT_CODES.USAGE);
+  }
+  console.error(`\n  ${message}\n`);
+  process.exit(EXIT_CODES.USAGE);
+}
+
 async function main() {
   const command = process.argv[2];
 
@@ -32,36 +162,66 @@ async function main() {
     process.exit(0);
   }
 
-  // Platform check
-  if (process.platform !== "win32") {
-    console.error("\n  Error: This tool only supports Windows for now.\n");
-    process.exit(1);
-  }
-
   // Node.js version check
   const nodeVersion = parseInt(process.versions.node.split(".")[0], 10);
   if (nodeVersion < 16) {
     console.error(`\n  Error: Node.js 16+ required (you have ${process.versions.node}).\n`);
-    process.exit(1);
+    process.exit(EXIT_CODES.FAILED);
   }
 
+  fixer = createFixer({
+    installDir: getInstallDir(),
+    configPath: getConfigPath(),
+    features: getFeatureOverrides(),
+  });
+  // watch prints its own timestamped lines
+  if (!jsonOutput && command !== "watch") fixer.on("progress", printProgress);
+
   try {
+    // --json never prompts; patch refuses on its own while a journal is pending
+    if (
+      !jsonOutput &&
+      command !== "recover" &&
+      (await checkInterruptedPatch()) &&
+      command !== "status"
+    ) {
+      console.log(`  Run "claude-rtl ${command}" again if you still need it.\n`);
+      return;
+    }
+
     switch (command) {
+      case "recover":
+        await runRecover(getRecoveryFlag());
+        break;
       case "patch":
-        await runPatch();
+        await runPatch(getTargetOptions());
+        break;
+      case "update":
+      case "repatch":
+        await runUpdate(getTargetOptions());
         break;
       case "unpatch":
-        runUnpatch();
+        await runUnpatch(getTargetOptions());
         break;
       case "status":
-        runStatus();
+        await runStatus(getTargetOptions());
+        break;
+      case "watch":
+        runWatch();
+        break;
+      case "verify-backups":
+        await runVerifyBackups();
+        break;
+      case "backups":
+        await runBackups(process.argv[3], process.argv.slice(4));
         break;
       default:
-        console.error(`\n  Unknown command: "${command}"`);
-        console.log('  Run "claude-rtl help" for usage.\n');
-        process.exit(1);
+        usageError(`Unknown command: "${command}"\n  Run "claude-rtl help" for usage.`);
     }
   } catch (err) {
+    if (jsonOutput) {
+      printJson({ success: false, code: "FAILED", error: err.message }, EXIT_CODES.FAILED);
+    }
     console.error(`\n  Unexpected error: ${err.message}\n`);
     if (err.stack) {
       console.error("  Stack trace (for bug reports):");
@@ -69,47 +229,425 @@ async function main() {
     }
     console.log("\n  If Claude Desktop is broken, try running: claude-rtl unpatch");
     console.log("  Or reinstall Claude Desktop to get a clean state.\n");
-    process.exit(1);
+    process.exit(EXIT_CODES.FAILED);
+  }
+}
+
+/**
+ * Read the value of an option given as "--name value" or "--name=value".
+ */
+function getOptionValue(args, name) {
+  const arg = args.find((a) => a === name || a.startsWith(`${name}=`));
+  if (!arg) return undefined;
+  return arg.includes("=") ? arg.slice(name.length + 1) : args[args.indexOf(arg) + 1];
+}
+
+/**
+ * Parse --install-dir DIR (any command). The finder falls back to
+ * CLAUDE_RTL_INSTALL_DIR and then the default location.
+ */
+function getInstallDir() {
+  const args = process.argv.slice(3);
+  if (!args.some((a) => a === "--install-dir" || a.startsWith("--install-dir="))) return undefined;
+  const dir = getOptionValue(args, "--install-dir");
+  if (!dir || dir.startsWith("--")) {
+    usageError("--install-dir needs a folder");
+  }
+  return dir;
+}
+
+/**
+ * Parse --config FILE (any command). Without it, ~/.claude-rtl.json is used if it exists.
+ */
+function getConfigPath() {
+  const args = process.argv.slice(3);
+  if (!args.some((a) => a === "--config" || a.startsWith("--config="))) return undefined;
+  const file = getOptionValue(args, "--config");
+  if (!file || file.startsWith("--")) {
+    usageError("--config needs a file");
   }
+  return file;
 }
 
-async function runPatch() {
-  console.log("\n--- Claude RTL Fixer: Patching ---\n");
-  const result = await patch();
+/**
+ * Parse --features a,b,c (only those on) and --no-<feature> (that one off).
+ * Returns { name: true|false } overrides for the config's features, or undefined.
+ */
+function getFeatureOverrides() {
+  const args = process.argv.slice(3);
+  const overrides = {};
 
-  if (result.success) {
-    console.log("\n  RTL fix applied successfully!\n");
-    console.log(`  Claude Desktop v${result.version} has been patched.`);
-    console.log("  Launch Claude Desktop and try typing in Hebrew or Arabic.\n");
-    console.log('  To undo, run: claude-rtl unpatch\n');
+  if (args.some((a) => a === "--features" || a.startsWith("--features="))) {
+    const list = getOptionValue(args, "--features");
+    if (!list || list.startsWith("--")) {
+      usageError(`--features needs a list like messages,tables,code (features: ${FEATURES.join(", ")})`);
+    }
+    const names = list.split(",").map((name) => name.trim()).filter(Boolean);
+    const unknown = names.filter((name) => !FEATURES.includes(name));
+    if (unknown.length > 0) {
+      usageError(`Unknown feature: ${unknown.join(", ")}\n  Features: ${FEATURES.join(", ")}`);
+    }
+    for (const name of FEATURES) overrides[name] = names.includes(name);
+  }
+
+  for (const arg of args.filter((a) => a.startsWith("--no-"))) {
+    const name = arg.slice("--no-".length);
+    if (!FEATURES.includes(name)) {
+      usageError(`Unknown option: ${arg}\n  Features: ${FEATURES.join(", ")}`);
+    }
+    overrides[name] = false;
+  }
+
+  return Object.keys(overrides).length > 0 ? overrides : undefined;
+}
+
+/**
+ * Parse --version X.Y.Z / --all (and --dry-run for patch) for patch, update, unpatch and status.
+ */
+function getTargetOptions() {
+  const args = process.argv.slice(3);
+  const options = {
+    all: args.includes("--all"),
+    dryRun: args.includes("--dry-run"),
+  };
+
+  const versionArg = args.find((a) => a.startsWith("--version"));
+  if (versionArg) {
+    options.version = versionArg.includes("=")
+      ? versionArg.split("=")[1]
+      : args[args.indexOf(versionArg) + 1];
+    if (!/^\d+\.\d+\.\d+$/.test(options.version || "")) {
+      usageError("--version needs a Claude Desktop version like 1.1.2321");
+    }
+  }
+
+  if (options.all && options.version) {
+    usageError("Use either --version or --all, not both.");
+  }
+  return options;
+}
+
+/**
+ * Run an { all: true } fixer call and print a per-version results table.
+ * printDetails(result), if given, prints more about each version that ran.
+ */
+async function runForAllVersions(title, run, doneLabel, printDetails) {
+  if (!jsonOutput) console.log(`\n--- Claude RTL Fixer: ${title} all installed versions ---`);
+  const result = await run().catch((err) => fail(err));
+  if (jsonOutput) printJson(result, exitCodeForAll(result));
+
+  if (printDetails) {
+    for (const r of result.results.filter((r) => r.success && !r.skipped)) {
+      console.log(`\n  == Claude Desktop v${r.version} ==`);
+      printDetails(r);
+    }
+  }
+
+  console.log("\n  Results:\n");
+  console.log(`    ${"Version".padEnd(14)} Result`);
+  for (const r of result.results) {
+    let outcome;
+    if (!r.success) outcome = `FAILED: ${r.error.split("\n")[0]}`;
+    else if (r.skipped) outcome = `skipped (${r.message})`;
+    else if (r.unchanged) outcome = "already up to date";
+    else outcome = doneLabel;
+    console.log(`    ${r.version.padEnd(14)} ${outcome}`);
+  }
+  console.log();
+
+  if (!result.success) process.exit(exitCodeForAll(result));
+}
+
+function getRecoveryFlag() {
+  const args = process.argv.slice(3);
+  if (args.includes("--finish")) return "finish";
+  if (args.includes("--rollback")) return "rollback";
+  return null;
+}
+
+/**
+ * Ask whether to finish or roll back an interrupted patch.
+ * Returns "finish", "rollback", or null (declined, or no terminal to ask on).
+ */
+function askRecoveryMode() {
+  if (!process.stdin.isTTY) return Promise.resolve(null);
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise((resolve) => {
+    rl.question("  [f]inish it, [r]oll it back, or [q]uit? ", (answer) => {
+      rl.close();
+      const choice = answer.trim().toLowerCase();
+      if (choice === "f" || choice === "finish") resolve("finish");
+      else if (choice === "r" || choice === "rollback") resolve("rollback");
+      else resolve(null);
+    });
+  });
+}
+
+/**
+ * If an earlier patch was interrupted, offer to finish or roll it back.
+ * Returns true if a recovery ran.
+ */
+async function checkInterruptedPatch() {
+  const journal = await fixer.findInterruptedPatch();
+  if (!journal) return false;
+
+  console.log(`\n  An earlier patch of Claude Desktop v${journal.claudeVersion} did not finish.`);
+  console.log(`  Started: ${journal.startedAt || "unknown"}`);
+  console.log(`  Completed steps: ${journal.completed.join(", ") || "none"}\n`);
+
+  const mode = await askRecoveryMode();
+  if (!mode) {
+    console.error('  Run "claude-rtl recover --finish" or "claude-rtl recover --rollback" to resolve it.\n');
+    process.exit(EXIT_CODES.INTERRUPTED);
+  }
+  await runRecover(mode, journal.claudeVersion);
+  return true;
+}
+
+async function runRecover(mode, version) {
+  const journal = await fixer.findInterruptedPatch();
+  if (!journal) {
+    if (jsonOutput) printJson({ success: true, action: null, message: "No interrupted patch found" });
+    console.log("\n  No interrupted patch found — nothing to recover.\n");
+    return;
+  }
+  version = version || journal.claudeVersion;
+
+  if (!mode) {
+    mode = jsonOutput ? null : await askRecoveryMode();
+    if (!mode) usageError("Specify --finish or --rollback.");
+  }
+
+  if (!jsonOutput) {
+    console.log(`\n--- Claude RTL Fixer: ${mode === "finish" ? "Finishing" : "Rolling back"} interrupted patch ---\n`);
+  }
+  const result = await fixer.recover(mode, { version }).catch((err) => fail(err, "Failed to recover"));
+  if (jsonOutput) printJson(result);
+
+  if (mode === "finish") {
+    console.log(`\n  Interrupted patch finished. Claude Desktop v${result.version} is patched.\n`);
+  } else if (result.restored) {
+    console.log(`\n  Interrupted patch rolled back. Claude Desktop v${result.version} is in its original state.\n`);
   } else {
-    console.error(`\n  Failed to patch: ${result.error}\n`);
-    process.exit(1);
+    console.log(`\n  Interrupted patch cleared. Nothing in Claude Desktop v${result.version} had been changed yet.\n`);
   }
 }
 
-function runUnpatch() {
-  console.log("\n--- Claude RTL Fixer: Unpatching ---\n");
-  const result = unpatch();
+function runWatch() {
+  if (jsonOutput) {
+    fixer.on("progress", (event) =>
+      console.log(JSON.stringify({ time: new Date().toISOString(), type: event.type, message: event.message }))
+    );
+    const watcher = fixer.watch();
+    process.on("SIGINT", () => {
+      watcher.stop();
+      process.exit(EXIT_CODES.OK);
+    });
+    return;
+  }
+
+  console.log("\n--- Claude RTL Fixer: Watching for Claude Desktop updates ---\n");
+  console.log("  New versions are patched once the update finishes and Claude is closed.");
+  console.log("  Press Ctrl+C to stop.\n");
+
+  fixer.on("progress", (event) => console.log(`[${new Date().toISOString()}] ${event.message}`));
+  const watcher = fixer.watch();
+  process.on("SIGINT", () => {
+    watcher.stop();
+    process.exit(0);
+  });
+}
+
+function formatOffset(offset) {
+  return `0x${offset.toString(16).padStart(8, "0")} (${offset})`;
+}
+
+/**
+ * Print what a dry-run patch would change.
+ */
+function printPatchPreview(result) {
+  const where = {
+    "before-source-map": "before the //# sourceMappingURL comment",
+    "after-mod": "right after the mod block that holds the //# sourceMappingURL comment",
+    end: "at the end of the file (no //# sourceMappingURL comment)",
+  }[result.injection];
+  console.log(`\n  mainView.js: the RTL fix would be inserted ${where}\n`);
+  if (result.mods && result.mods.length > 0) {
+    console.log(`  Other mods, kept as they are: ${result.mods.map((m) => m.name).join(", ")}\n`);
+  }
+  for (const line of result.diff.split("\n")) {
+    console.log(`    ${line}`);
+  }
+
+  console.log("\n  ASAR header hash:");
+  console.log(`    Current:   ${result.currentHash}`);
+  console.log(`    Projected: ${result.projectedHash}`);
 
-  if (result.success) {
-    console.log("\n  RTL fix removed successfully!\n");
-    console.log(`  Claude Desktop v${result.version} has been restored to original state.\n`);
+  if (result.hashChange) {
+    const name = path.basename(result.hashChange.file);
+    console.log(`\n  ${name} would change at:`);
+    console.log(
+      `    Integrity hash: ${result.hashChange.length} bytes at offset ${formatOffset(result.hashChange.offset)}`
+    );
+    if (result.hashChange.checksumOffset !== null) {
+      console.log(`    PE CheckSum:    4 bytes at offset ${formatOffset(result.hashChange.checksumOffset)}`);
+    }
   } else {
-    console.error(`\n  Failed to unpatch: ${result.error}\n`);
-    process.exit(1);
+    console.log("\n  This build does not check the ASAR hash — only app.asar would change.");
+  }
+}
+
+async function runPatch(target) {
+  if (target.all) {
+    return runForAllVersions(
+      target.dryRun ? "Previewing patch of" : "Patching",
+      () => fixer.patch(target),
+      target.dryRun ? "ready to patch (dry run)" : "patched",
+      target.dryRun ? printPatchPreview : null
+    );
+  }
+
+  if (target.dryRun) {
+    if (!jsonOutput) console.log("\n--- Claude RTL Fixer: Patch preview (dry run) ---\n");
+    const result = await fixer.patch(target).catch((err) => fail(err, "Patch would fail"));
+    if (jsonOutput) printJson(result);
+    printPatchPreview(result);
+    console.log(`\n  All checks passed. Nothing was changed — run "claude-rtl patch" to apply.\n`);
+    return;
+  }
+
+  if (!jsonOutput) console.log("\n--- Claude RTL Fixer: Patching ---\n");
+  const result = await fixer.patch(target).catch((err) => fail(err, "Failed to patch"));
+  if (jsonOutput) printJson(result);
+
+  console.log("\n  RTL fix applied successfully!\n");
+  console.log(`  Claude Desktop v${result.version} has been patched.`);
+  console.log("  Launch Claude Desktop and try typing in Hebrew or Arabic.\n");
+  if (result.exeModified && result.signature && result.signature.signed) {
+    console.log("  Note: claude.exe is code-signed, and the signature no longer matches the");
+    console.log("  patched file. Antivirus or app-control policies that check signatures may");
+    console.log("  flag it. Unpatching restores the original signed file.\n");
+  }
+  if (result.hashModified && result.layout === "macos") {
+    console.log("  Note: editing Info.plist breaks the app's code signature. If macOS refuses");
+    console.log("  to open Claude, re-sign it locally:");
+    console.log(`    codesign --force --deep --sign - "${result.appDir}"\n`);
+  }
+  console.log('  To undo, run: claude-rtl unpatch\n');
+}
+
+async function runUpdate(target) {
+  if (target.all) {
+    return runForAllVersions("Updating", () => fixer.update(target), "updated");
+  }
+
+  if (!jsonOutput) console.log("\n--- Claude RTL Fixer: Updating ---\n");
+  const result = await fixer.update(target).catch((err) => fail(err, "Failed to update"));
+  if (jsonOutput) printJson(result);
+
+  if (result.unchanged) {
+    console.log(`\n  Claude Desktop v${result.version}: ${result.message}.\n`);
+    return;
+  }
+  console.log("\n  RTL fix updated successfully!\n");
+  console.log(
+    `  Claude Desktop v${result.version} now has the RTL fix from claude-rtl-fixer ${result.toolVersion}` +
+      (result.previousVersion && result.previousVersion !== result.toolVersion ? ` (was ${result.previousVersion}).` : ".")
+  );
+  console.log("  The original backups were kept; \"claude-rtl unpatch\" still restores the original files.\n");
+}
+
+async function runUnpatch(target) {
+  if (target.all) {
+    return runForAllVersions("Unpatching", () => fixer.unpatch(target), "restored");
+  }
+
+  if (!jsonOutput) console.log("\n--- Claude RTL Fixer: Unpatching ---\n");
+  const result = await fixer.unpatch(target).catch((err) => fail(err, "Failed to unpatch"));
+  if (jsonOutput) printJson(result);
+
+  console.log("\n  RTL fix removed successfully!\n");
+  console.log(`  Claude Desktop v${result.version} has been restored to original state.\n`);
+  if (result.backupId) {
+    console.log(`  The backup (${result.backupId}) is kept; see "claude-rtl backups list".\n`);
+  }
+}
+
+function describeSignature(signature) {
+  if (!signature || signature.signed === null) {
+    return `Unknown (${signature ? signature.error : "not checked"})`;
+  }
+  if (!signature.signed) return "No";
+  if (signature.intact === null) return `Yes, but could not check it (${signature.error})`;
+  return signature.intact
+    ? `Yes (${signature.algorithm} digest matches the file)`
+    : "Yes, but the signature no longer matches the file (modified after signing)";
+}
+
+/** One line for status.payload (see checkPayload in patcher.js) */
+function describePayload(payload) {
+  switch (payload.state) {
+    case "up-to-date":
+      return `up to date (v${payload.version})`;
+    case "outdated":
+      if (!payload.version) return 'outdated (from an older version) — run "claude-rtl update"';
+      if (payload.version !== payload.expectedVersion) {
+        return `outdated (v${payload.version}) — run "claude-rtl update"`;
+      }
+      return 'outdated (built from a different config) — run "claude-rtl update"';
+    case "modified":
+      return 'modified (the injected block was edited) — run "claude-rtl update" to restore it';
+    case "unknown":
+      return `v${payload.version || "?"} (could not compare with the current payload)`;
+    default:
+      return "none";
   }
 }
 
-function runStatus() {
-  console.log("\n--- Claude RTL Fixer: Status ---\n");
-  const result = status();
+/** One line for status.mods (see inspectMainView in mods.js) */
+function describeMods(mods) {
+  if (mods.unidentified) return "changed by another tool outside any known mod block";
+  if (mods.stock === "stock") return "stock (apart from the RTL fix)";
+  if (mods.stock === "modified") return "stock plus the mods below";
+  if (mods.mods.length > 0) return "has the mods below (no stock fingerprint recorded for this version)";
+  return "no other mods found (no stock fingerprint recorded for this version yet)";
+}
+
+async function runStatusAll(target) {
+  if (!jsonOutput) console.log("\n--- Claude RTL Fixer: Status of all installed versions ---\n");
+  const result = await fixer.status(target).catch((err) => fail(err));
+  if (jsonOutput) printJson(result, exitCodeForAll(result));
 
-  if (!result.success) {
-    console.error(`  ${result.error}\n`);
-    process.exit(1);
+  console.log(`    ${"Version".padEnd(14)} ${"Patched".padEnd(9)} ${"Backups".padEnd(9)} Notes`);
+  for (const r of result.results) {
+    if (!r.success) {
+      console.log(`    ${r.version.padEnd(14)} ${"-".padEnd(9)} ${"-".padEnd(9)} ${r.error.split("\n")[0]}`);
+      continue;
+    }
+    const notes = [
+      r.payload.state === "none" ? "" : `payload ${r.payload.state}`,
+      r.mods && r.mods.mods.length > 0 ? `mods: ${r.mods.mods.map((m) => m.name).join(", ")}` : "",
+      r.mods && r.mods.unidentified ? "mainView.js changed by another tool" : "",
+      r.problems.length > 0 ? `${r.problems.length} warning(s), see "status --version ${r.version}"` : "",
+    ]
+      .filter(Boolean)
+      .join(", ");
+    console.log(
+      `    ${r.version.padEnd(14)} ${(r.patched ? "Yes" : "No").padEnd(9)} ${(r.backupsExist ? "Yes" : "No").padEnd(9)} ${notes}`
+    );
   }
 
+  const running = result.results.some((r) => r.running);
+  console.log(`\n  Running:  ${running ? "Yes (close it before patching)" : "No"}\n`);
+}
+
+async function runStatus(target) {
+  if (target.all) return runStatusAll(target);
+
+  if (!jsonOutput) console.log("\n--- Claude RTL Fixer: Status ---\n");
+  const result = await fixer.status(target).catch((err) => fail(err));
+  if (jsonOutput) printJson(result);
+
   console.log(`  Claude Desktop version: ${result.version}`);
   if (result.allVersions.length > 1) {
     console.log(`  All installed versions: ${result.allVersions.join(", ")}`);
@@ -118,17 +656,155 @@ function runStatus() {
   console.log(`  Patched:  ${result.patched ? "Yes" : "No"}`);
   if (result.patched && result.patchInfo) {
     console.log(`    Patched on: ${result.patchInfo.patchedAt}`);
-    console.log(`    Tool version: ${result.patchInfo.version}`);
+    console.log(
+      `    Tool version: ${result.patchInfo.version}` +
+        (result.patchInfo.previousVersion && result.patchInfo.previousVersion !== result.patchInfo.version
+          ? ` (updated from ${result.patchInfo.previousVersion})`
+          : "")
+    );
+    if (result.patchInfo.backupId) {
+      console.log(`    Backup: ${result.patchInfo.backupId}`);
+    }
+    if (result.patchInfo.config) {
+      const { hash, path: configPath } = result.patchInfo.config;
+      console.log(`    Config: ${hash} (${configPath || "built-in defaults"})`);
+    }
+    console.log(`    Features: ${result.features ? result.features.join(", ") || "none" : "all (patched by an older version)"}`);
   }
-  if (result.codePatched !== result.patched) {
-    console.log("  Warning: Marker and code state are out of sync!");
+  if (result.payload.state !== "none") {
+    console.log(`  Payload:  ${describePayload(result.payload)}`);
+  }
+  for (const problem of result.problems) {
+    console.log(`  Warning: ${problem}`);
+  }
+  if (result.mods) {
+    console.log(`  mainView.js: ${describeMods(result.mods)}`);
+    for (const mod of result.mods.mods) {
+      console.log(`    Mod: ${mod.name} (line ${mod.line})`);
+    }
   }
   console.log(`  Backups:  ${result.backupsExist ? "Yes (can unpatch)" : "No"}`);
+  if (result.signature) {
+    console.log(`  Signed:   ${describeSignature(result.signature)}`);
+  }
+  if (result.fuses.found) {
+    console.log("  Electron fuses:");
+    console.log(`    ASAR integrity validation: ${result.fuses.fuses.EnableEmbeddedAsarIntegrityValidation || "n/a"}`);
+    console.log(`    Only load app from ASAR:   ${result.fuses.fuses.OnlyLoadAppFromAsar || "n/a"}`);
+    console.log(`    Run as Node:               ${result.fuses.fuses.RunAsNode || "n/a"}`);
+  } else {
+    console.log(`  Electron fuses: unknown (${result.fuses.error})`);
+  }
   console.log(`\n  Paths:`);
   console.log(`    App dir: ${result.paths.appDir}`);
   console.log(`    ASAR:    ${result.paths.asar}`);
-  console.log(`    EXE:     ${result.paths.exe}`);
+  console.log(`    EXE:     ${result.paths.exe || "not found"}`);
+  if (result.paths.hash && result.paths.hash !== result.paths.exe) {
+    console.log(`    Hash in: ${result.paths.hash}`);
+  }
   console.log();
 }
 
+async function runVerifyBackups() {
+  const result = await fixer.verifyBackups();
+  const empty = result.backups.length === 0 && result.legacy.length === 0;
+  if (jsonOutput) {
+    if (empty) printJson({ ...result, success: false, code: "NO_BACKUPS", error: "No backups found" });
+    printJson(result, result.ok ? EXIT_CODES.OK : EXIT_CODES.INTEGRITY_MISMATCH);
+  }
+
+  console.log("\n--- Claude RTL Fixer: Verifying backups ---\n");
+  console.log(`  Backup folder: ${result.storeDir}\n`);
+  if (empty) {
+    console.log("  No backups found.\n");
+    process.exit(EXIT_CODES.NO_BACKUPS);
+  }
+
+  for (const backup of result.backups) {
+    console.log(`  ${backup.id}  (Claude v${backup.claudeVersion}, ${backup.createdAt})`);
+    if (backup.ok) {
+      console.log("    OK: sizes, checksums and integrity hash match the manifest");
+    } else {
+      for (const problem of backup.problems) {
+        console.error(`    FAILED: ${problem}`);
+      }
+    }
+  }
+
+  for (const legacy of result.legacy) {
+    console.log(`  Legacy .bak files in Claude v${legacy.version} (made by an older version of this tool)`);
+    if (legacy.ok) {
+      console.log("    OK: consistent with each other (no checksums to compare)");
+    } else {
+      for (const problem of legacy.problems) {
+        console.error(`    FAILED: ${problem}`);
+      }
+    }
+  }
+
+  if (!result.ok) {
+    console.error("\n  Failed backups will not be restored. Reinstall Claude Desktop to get a clean state.\n");
+    process.exit(EXIT_CODES.INTEGRITY_MISMATCH);
+  }
+  console.log();
+}
+
+function formatSize(bytes) {
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+async function runBackups(subcommand, args) {
+  switch (subcommand) {
+    case "list": {
+      const result = await fixer.listBackups();
+      if (jsonOutput) printJson(result);
+      console.log("\n--- Claude RTL Fixer: Backups ---\n");
+      console.log(`  Backup folder: ${result.storeDir}\n`);
+      if (result.backups.length === 0) {
+        console.log("  No backups yet.\n");
+        return;
+      }
+      for (const backup of result.backups) {
+        console.log(`  ${backup.id.padEnd(32)} Claude v${backup.claudeVersion.padEnd(12)} ${backup.createdAt}  ${formatSize(backup.size)}`);
+      }
+      console.log();
+      return;
+    }
+    case "restore": {
+      const backupId = args[0];
+      if (!backupId || backupId.startsWith("--")) {
+        usageError('Usage: claude-rtl backups restore <id>  (see "claude-rtl backups list")');
+      }
+      if (!jsonOutput) console.log(`\n--- Claude RTL Fixer: Restoring backup ${backupId} ---\n`);
+      const result = await fixer.unpatch({ backupId }).catch((err) => fail(err, "Failed to restore"));
+      if (jsonOutput) printJson(result);
+      console.log(`\n  Claude Desktop v${result.version} has been restored from backup ${result.backupId}.\n`);
+      return;
+    }
+    case "prune": {
+      const keepIndex = args.indexOf("--keep");
+      const keep = keepIndex === -1 ? NaN : Number(args[keepIndex + 1]);
+      if (!Number.isInteger(keep) || keep < 0) {
+        usageError("--keep must be a whole number (0 or more).\n  Usage: claude-rtl backups prune --keep N");
+      }
+      const result = await fixer.pruneBackups(keep).catch((err) => fail(err));
+      if (jsonOutput) printJson(result);
+      console.log("\n--- Claude RTL Fixer: Pruning backups ---\n");
+      for (const id of result.removed) {
+        console.log(`  Removed ${id}`);
+      }
+      for (const id of result.protectedIds) {
+        if (result.kept.includes(id)) console.log(`  Kept ${id} (the patched install needs it for unpatch)`);
+      }
+      console.log(`\n  Removed ${result.removed.length} backup(s), kept ${result.kept.length}.\n`);
+      return;
+    }
+    default:
+      usageError(
+        `Unknown backups command: "${subcommand || ""}"\n` +
+          "  Usage: claude-rtl backups list | restore <id> | prune --keep N"
+      );
+  }
+}
+
 main();
@@ -0,0 +1,401 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const { ErrorCodes } = require("./errors");
+const { FEATURES } = require("./features");
+
+/**
+ * User configuration — ~/.claude-rtl.json, or the file given with --config.
+ *
+ *   {
+ *     "scripts": ["nko", "adlam"],            extra RTL scripts, by name (SCRIPTS)
+ *     "ranges": ["U+10D00-U+10D3F"],          extra RTL code point ranges
+ *     "selectors": {
+ *       "code": { "add": [".my-code"] },      extend a default list...
+ *       "input": ["textarea"]                 ...or replace it
+ *     },
+ *     "features": { "lists": false },         turn payload features on or off
+ *     "direction": { "policy": "majority" }   how block and list direction is decided
+ *   }
+ *
+ * Every key is optional. loadConfig() validates the file and merges it over
+ * the defaults; the payload is built from the result, and its hash goes into
+ * the marker so status can tell which configuration an install was patched with.
+ */
+
+const DEFAULT_CONFIG_FILE = ".claude-rtl.json";
+
+/**
+ * RTL scripts by name. The default ones are always on; the others are added
+ * with "scripts". Each range is [first, last] code point.
+ */
+const SCRIPTS = {
+  hebrew: { ranges: [[0x0590, 0x05ff]], default: true },
+  arabic: {
+    ranges: [
+      [0x0600, 0x06ff],
+      [0x0750, 0x077f],
+      [0x08a0, 0x08ff],
+    ],
+    default: true,
+  },
+  syriac: { ranges: [[0x0700, 0x074f]], default: true },
+  thaana: { ranges: [[0x0780, 0x07bf]], default: true },
+  presentationForms: {
+    ranges: [
+      [0xfb1d, 0xfdff],
+      [0xfe70, 0xfeff],
+    ],
+    default: true,
+  },
+  nko: { ranges: [[0x07c0, 0x07ff]] },
+  samaritan: { ranges: [[0x0800, 0x083f]] },
+  mandaic: { ranges: [[0x0840, 0x085f]] },
+  adlam: { ranges: [[0x1e900, 0x1e95f]] },
+};
+
+/**
+ * Selector lists the payload targets. "containers" are the message blocks
+ * whose text gets direction CSS; the rest apply anywhere in the page.
+ * "code" is everything that stays LTR; "codeBlocks" the block-level part of
+ * it, which is also left-aligned.
+ */
+const DEFAULT_SELECTORS = {
+  containers: ['[class*="message"]', '[data-testid*="message"]', ".prose"],
+  text: ["p", "li", "h1", "h2", "h3", "h4", "h5", "h6", "blockquote"],
+  cells: ["td", "th"],
+  code: [
+    "pre",
+    "code",
+    '[class*="code"]',
+    '[class*="Code"]',
+    '[class*="CodeBlock"]',
+    ".hljs",
+    '[class*="highlight"]',
+    ".katex",
+    ".math",
+  ],
+  codeBlocks: ["pre", '[class*="CodeBlock"]', '[class*="code-block"]'],
+  input: ["textarea", '[contenteditable="true"]', '[class*="ProseMirror"]', '[role="textbox"]'],
+};
+
+/**
+ * "direction" settings and their allowed values, the first being the default.
+ *   policy  how the page script decides the direction of a block with RTL text:
+ *           "first-strong" — the first letter outside code and links (Unicode bidi rules P2/P3);
+ *           "majority" — whichever of RTL and LTR letters there are more of (ties: first-strong)
+ *   lists   how a list's direction (its marker side) follows its items:
+ *           "majority" — the direction most items have (ties: the first item's);
+ *           "first-item" — the first item's direction
+ */
+const DIRECTION_OPTIONS = {
+  policy: ["first-strong", "majority"],
+  lists: ["majority", "first-item"],
+};
+
+const TOP_LEVEL_KEYS = ["scripts", "ranges", "selectors", "features", "direction"];
+
+/**
+ * Path of the configuration file: options.configPath, else ~/.claude-rtl.json.
+ */
+function getConfigPath(options = {}) {
+  return options.configPath
+    ? path.resolve(options.configPath)
+    : path.join(os.homedir(), DEFAULT_CONFIG_FILE);
+}
+
+/**
+ * Parse "U+1E900-U+1E95F" (or a single "U+07C0") into [first, last].
+ */
+function parseRange(text) {
+  const match = /^U\+([0-9A-F]{4,6})(?:-U\+([0-9A-F]{4,6}))?$/i.exec(text);
+  if (!match) return null;
+  const first = parseInt(match[1], 16);
+  const last = match[2] ? parseInt(match[2], 16) : first;
+  if (first > last || last > 0x10ffff) return null;
+  return [first, last];
+}
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every((item) => typeof item === "string" && item.trim() !== "");
+}
+
+/**
+ * Why a selector from the config file can't be used, or null if it looks
+ * fine. A selector the page can't parse would make every query the page
+ * script runs with its list throw, so the obvious mistakes are caught here:
+ * rule or declaration syntax ({ } ;), unbalanced brackets or quotes, and a
+ * comma outside them (each list entry is one selector, see features/css.js).
+ */
+function selectorProblem(selector) {
+  const pairs = { "[": "]", "(": ")" };
+  const open = [];
+  let quote = null;
+  for (let i = 0; i < selector.length; i++) {
+    const char = selector[i];
+    if (char === "\\") {
+      i++;
+    } else if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === "{" || char === "}" || char === ";") {
+      return `"${char}" is not allowed in a selector`;
+    } else if (pairs[char]) {
+      open.push(char);
+    } else if (char === "]" || char === ")") {
+      if (pairs[open.pop()] !== char) return `unbalanced "${char}"`;
+    } else if (char === "," && open.length === 0) {
+      return "list each selector separately instead of separating them with commas";
+    }
+  }
+  if (quote) return `unclosed ${quote} quote`;
+  if (open.length) return `unclosed "${open.pop()}"`;
+  return null;
+}
+
+function selectorProblems(key, selectors) {
+  return selectors
+    .map((selector) => [selector, selectorProblem(selector)])
+    .filter(([, problem]) => problem)
+    .map(([selector, problem]) => `invalid selector "${selector}" in "${key}": ${problem}`);
+}
+
+/**
+ * Check a parsed config file against the schema. Returns a list of problems.
+ */
+function validateConfig(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    return ["the file must contain a JSON object"];
+  }
+
+  const problems = [];
+  for (const key of Object.keys(raw)) {
+    if (!TOP_LEVEL_KEYS.includes(key)) {
+      problems.push(`unknown key "${key}" (expected ${TOP_LEVEL_KEYS.join(", ")})`);
+    }
+  }
+
+  if (raw.scripts !== undefined) {
+    if (!isStringList(raw.scripts)) {
+      problems.push('"scripts" must be a list of script names');
+    } else {
+      for (const name of raw.scripts.filter((n) => !SCRIPTS[n])) {
+        problems.push(`unknown script "${name}" (known: ${Object.keys(SCRIPTS).join(", ")})`);
+      }
+    }
+  }
+
+  if (raw.ranges !== undefined) {
+    if (!isStringList(raw.ranges)) {
+      problems.push('"ranges" must be a list like ["U+07C0-U+07FF"]');
+    } else {
+      for (const range of raw.ranges.filter((r) => !parseRange(r))) {
+        problems.push(`invalid range "${range}" (expected U+XXXX or U+XXXX-U+YYYY)`);
+      }
+    }
+  }
+
+  if (raw.selectors !== undefined) {
+    if (!raw.selectors || typeof raw.selectors !== "object" || Array.isArray(raw.selectors)) {
+      problems.push('"selectors" must be an object');
+    } else {
+      for (const [name, value] of Object.entries(raw.selectors)) {
+        if (!DEFAULT_SELECTORS[name]) {
+          problems.push(
+            `unknown selector list "${name}" (expected ${Object.keys(DEFAULT_SELECTORS).join(", ")})`
+          );
+        } else if (Array.isArray(value)) {
+          if (!isStringList(value)) problems.push(`"selectors.${name}" must be a list of CSS selectors`);
+          else problems.push(...selectorProblems(`selectors.${name}`, value));
+        } else if (!value || typeof value !== "object") {
+          problems.push(`"selectors.${name}" must be a list, or { "add": [...], "remove": [...] }`);
+        } else {
+          for (const key of Object.keys(value)) {
+            if (key !== "add" && key !== "remove") {
+              problems.push(`"selectors.${name}" has unknown key "${key}" (expected add, remove)`);
+            } else if (!isStringList(value[key])) {
+              problems.push(`"selectors.${name}.${key}" must be a list of CSS selectors`);
+            } else if (key === "add") {
+              problems.push(...selectorProblems(`selectors.${name}.add`, value.add));
+            }
+          }
+        }
+      }
+    }
+  }
+
+  if (raw.features !== undefined) {
+    if (!raw.features || typeof raw.features !== "object" || Array.isArray(raw.features)) {
+      problems.push('"features" must be an object like { "lists": false }');
+    } else {
+      for (const [name, value] of Object.entries(raw.features)) {
+        if (!FEATURES.includes(name)) {
+          problems.push(`unknown feature "${name}" (expected ${FEATURES.join(", ")})`);
+        } else if (typeof value !== "boolean") {
+          problems.push(`"features.${name}" must be true or false`);
+        }
+      }
+    }
+  }
+
+  if (raw.direction !== undefined) {
+    if (!raw.direction || typeof raw.direction !== "object" || Array.isArray(raw.direction)) {
+      problems.push('"direction" must be an object like { "policy": "majority" }');
+    } else {
+      for (const [key, value] of Object.entries(raw.direction)) {
+        const allowed = Object.prototype.hasOwnProperty.call(DIRECTION_OPTIONS, key) && DIRECTION_OPTIONS[key];
+        if (!allowed) {
+          problems.push(
+            `"direction" has unknown key "${key}" (expected ${Object.keys(DIRECTION_OPTIONS).join(", ")})`
+          );
+        } else if (!allowed.includes(value)) {
+          problems.push(`"direction.${key}" must be one of ${allowed.join(", ")}`);
+        }
+      }
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Merge a validated config file over the defaults.
+ */
+function resolveConfig(raw = {}) {
+  const scripts = Object.keys(SCRIPTS).filter(
+    (name) => SCRIPTS[name].default || (raw.scripts || []).includes(name)
+  );
+
+  const selectors = {};
+  for (const [name, defaults] of Object.entries(DEFAULT_SELECTORS)) {
+    const value = raw.selectors && raw.selectors[name];
+    if (Array.isArray(value)) {
+      selectors[name] = [...value];
+    } else if (value) {
+      const removed = value.remove || [];
+      selectors[name] = [...defaults.filter((s) => !removed.includes(s)), ...(value.add || [])];
+    } else {
+      selectors[name] = [...defaults];
+    }
+  }
+
+  const direction = {};
+  for (const [key, allowed] of Object.entries(DIRECTION_OPTIONS)) {
+    direction[key] = raw.direction && raw.direction[key] !== undefined ? raw.direction[key] : allowed[0];
+  }
+
+  const features = {};
+  for (const name of FEATURES) {
+    features[name] = raw.features && raw.features[name] !== undefined ? raw.features[name] : true;
+  }
+
+  return {
+    scripts,
+    ranges: (raw.ranges || []).map((r) => r.toUpperCase()),
+    selectors,
+    features,
+    direction,
+  };
+}
+
+/**
+ * Short hash of a resolved config, recorded in the marker.
+ */
+function hashConfig(config) {
+  return crypto.createHash("sha256").update(JSON.stringify(config)).digest("hex").slice(0, 16);
+}
+
+/**
+ * Load, validate and resolve the configuration.
+ * A missing ~/.claude-rtl.json means the defaults; a missing --config file is an error.
+ * options.features ({ name: true|false }, from --features / --no-<name>)
+ * overrides the file's features.
+ *
+ * Returns { success, config?, hash?, path?, error?, code? } — path is null
+ * when the defaults are used.
+ */
+function loadConfig(options = {}) {
+  const unknown = Object.keys(options.features || {}).filter((name) => !FEATURES.includes(name));
+  if (unknown.length > 0) {
+    return {
+      success: false,
+      code: ErrorCodes.CONFIG_INVALID,
+      error: `Unknown feature: ${unknown.join(", ")} (expected ${FEATURES.join(", ")})`,
+    };
+  }
+
+  const file = readConfigFile(options);
+  if (!file.success) return file;
+
+  const config = resolveConfig(file.raw);
+  Object.assign(config.features, options.features);
+  return { success: true, config, hash: hashConfig(config), path: file.path };
+}
+
+/**
+ * Read and validate the config file. Returns { success, raw?, path?, error?, code? }.
+ */
+function readConfigFile(options) {
+  const configPath = getConfigPath(options);
+  if (!fs.existsSync(configPath)) {
+    if (options.configPath) {
+      return { success: false, code: ErrorCodes.CONFIG_INVALID, error: `Config file not found: ${configPath}` };
+    }
+    return { success: true, raw: {}, path: null };
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(configPath, "utf-8"));
+  } catch (err) {
+    return {
+      success: false,
+      code: ErrorCodes.CONFIG_INVALID,
+      error: `Could not read config file ${configPath}: ${err.message}`,
+    };
+  }
+
+  const problems = validateConfig(raw);
+  if (problems.length > 0) {
+    return {
+      success: false,
+      code: ErrorCodes.CONFIG_INVALID,
+      error: `Invalid config file ${configPath}:\n` + problems.map((p) => `  - ${p}`).join("\n"),
+    };
+  }
+
+  return { success: true, raw, path: configPath };
+}
+
+/**
+ * Names of the features a resolved config turns on.
+ */
+function getActiveFeatures(config) {
+  return FEATURES.filter((name) => config.features[name]);
+}
+
+/**
+ * Every RTL code point range the config enables, as [first, last] pairs.
+ */
+function getRtlRanges(config) {
+  return [
+    ...config.scripts.flatMap((name) => SCRIPTS[name].ranges),
+    ...config.ranges.map(parseRange),
+  ];
+}
+
+module.exports = {
+  SCRIPTS,
+  DEFAULT_SELECTORS,
+  DIRECTION_OPTIONS,
+  FEATURES,
+  getConfigPath,
+  validateConfig,
+  resolveConfig,
+  hashConfig,
+  loadConfig,
+  getActiveFeatures,
+  getRtlRanges,
+};
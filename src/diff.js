@@ -0,0 +1,88 @@
+/**
+ * Minimal unified diff, for previewing what a patch inserts into mainView.js.
+ *
+ * Produces a single hunk around the one region that differs, which is all an
+ * injection ever changes. Very long lines (minified code) are shortened for
+ * display, and a long run of added or removed lines (the injected block runs
+ * to hundreds) shows only its first and last lines around a count of the
+ * rest, so the output is for reading rather than for `git apply`.
+ */
+
+const CONTEXT_LINES = 3;
+const MAX_LINE_LENGTH = 160;
+const MAX_CHANGED_LINES = 8;
+
+function splitLines(text) {
+  const lines = text.split("\n");
+  if (lines[lines.length - 1] === "") lines.pop();
+  return lines;
+}
+
+function shorten(line) {
+  if (line.length <= MAX_LINE_LENGTH) return line;
+  return `${line.slice(0, MAX_LINE_LENGTH)}… (${line.length - MAX_LINE_LENGTH} more characters)`;
+}
+
+/**
+ * Add a run of added (+) or removed (-) lines, keeping at most max of them:
+ * the first and last few, around a line that counts the ones left out.
+ */
+function pushRun(out, sign, run, max) {
+  if (run.length <= max) {
+    for (const line of run) out.push(`${sign}${shorten(line)}`);
+    return;
+  }
+  const head = Math.ceil(max / 2);
+  const tail = max - head;
+  for (const line of run.slice(0, head)) out.push(`${sign}${shorten(line)}`);
+  out.push(`${sign}… (${run.length - max} more ${sign === "+" ? "added" : "removed"} lines)`);
+  for (const line of run.slice(run.length - tail)) out.push(`${sign}${shorten(line)}`);
+}
+
+/** "start,count" as a hunk header writes it (1-based, count omitted when 1) */
+function formatRange(start, count) {
+  if (count === 0) return `${start},0`;
+  if (count === 1) return `${start + 1}`;
+  return `${start + 1},${count}`;
+}
+
+/**
+ * Unified diff of oldText -> newText. Returns "" if they are the same.
+ * maxChanged caps the added and the removed lines shown (Infinity for all).
+ */
+function unifiedDiff(
+  oldText,
+  newText,
+  { oldLabel = "a", newLabel = "b", context = CONTEXT_LINES, maxChanged = MAX_CHANGED_LINES } = {}
+) {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  if (start === a.length && start === b.length) return "";
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const from = Math.max(0, start - context);
+  const toA = Math.min(a.length, endA + context);
+  const toB = Math.min(b.length, endB + context);
+
+  const lines = [
+    `--- ${oldLabel}`,
+    `+++ ${newLabel}`,
+    `@@ -${formatRange(from, toA - from)} +${formatRange(from, toB - from)} @@`,
+  ];
+  for (let i = from; i < start; i++) lines.push(` ${shorten(a[i])}`);
+  pushRun(lines, "-", a.slice(start, endA), maxChanged);
+  pushRun(lines, "+", b.slice(start, endB), maxChanged);
+  for (let i = endA; i < toA; i++) lines.push(` ${shorten(a[i])}`);
+  return lines.join("\n");
+}
+
+module.exports = { unifiedDiff };
@@ -0,0 +1,127 @@
+/**
+ * Failure classes. Every failed result carries one as `code`, so callers can
+ * tell failures apart without parsing the message. The API rejects with the
+ * matching error class below, and the CLI maps each code to its own exit
+ * code (see EXIT_CODES in cli.js).
+ */
+const ErrorCodes = Object.freeze({
+  NOT_INSTALLED: "NOT_INSTALLED",
+  RUNNING: "RUNNING",
+  LOCKED: "LOCKED",
+  INTEGRITY_MISMATCH: "INTEGRITY_MISMATCH",
+  ALREADY_PATCHED: "ALREADY_PATCHED",
+  NO_BACKUPS: "NO_BACKUPS",
+  NOT_PATCHED: "NOT_PATCHED",
+  INTERRUPTED: "INTERRUPTED",
+  CONFIG_INVALID: "CONFIG_INVALID",
+  FAILED: "FAILED",
+});
+
+/**
+ * Base class of the errors the API (index.js) rejects with. `code` is one of
+ * ErrorCodes; `details` holds any extra fields of the failed result.
+ */
+class RtlFixerError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.details = details;
+  }
+
+  toJSON() {
+    return { name: this.name, code: this.code, message: this.message, ...this.details };
+  }
+}
+
+class NotInstalledError extends RtlFixerError {
+  constructor(message, details) {
+    super(ErrorCodes.NOT_INSTALLED, message, details);
+  }
+}
+
+class ClaudeRunningError extends RtlFixerError {
+  constructor(message, details) {
+    super(ErrorCodes.RUNNING, message, details);
+  }
+}
+
+class FilesLockedError extends RtlFixerError {
+  constructor(message, details) {
+    super(ErrorCodes.LOCKED, message, details);
+  }
+}
+
+class IntegrityMismatchError extends RtlFixerError {
+  constructor(message, details) {
+    super(ErrorCodes.INTEGRITY_MISMATCH, message, details);
+  }
+}
+
+class AlreadyPatchedError extends RtlFixerError {
+  constructor(message, details) {
+    super(ErrorCodes.ALREADY_PATCHED, message, details);
+  }
+}
+
+class NoBackupsError extends RtlFixerError {
+  constructor(message, details) {
+    super(ErrorCodes.NO_BACKUPS, message, details);
+  }
+}
+
+class NotPatchedError extends RtlFixerError {
+  constructor(message, details) {
+    super(ErrorCodes.NOT_PATCHED, message, details);
+  }
+}
+
+class InterruptedPatchError extends RtlFixerError {
+  constructor(message, details) {
+    super(ErrorCodes.INTERRUPTED, message, details);
+  }
+}
+
+class ConfigError extends RtlFixerError {
+  constructor(message, details) {
+    super(ErrorCodes.CONFIG_INVALID, message, details);
+  }
+}
+
+const ERROR_CLASSES = {
+  [ErrorCodes.NOT_INSTALLED]: NotInstalledError,
+  [ErrorCodes.RUNNING]: ClaudeRunningError,
+  [ErrorCodes.LOCKED]: FilesLockedError,
+  [ErrorCodes.INTEGRITY_MISMATCH]: IntegrityMismatchError,
+  [ErrorCodes.ALREADY_PATCHED]: AlreadyPatchedError,
+  [ErrorCodes.NO_BACKUPS]: NoBackupsError,
+  [ErrorCodes.NOT_PATCHED]: NotPatchedError,
+  [ErrorCodes.INTERRUPTED]: InterruptedPatchError,
+  [ErrorCodes.CONFIG_INVALID]: ConfigError,
+};
+
+/**
+ * Turn a failed { success: false, code, error, ... } result into a typed error.
+ */
+function toError(result) {
+  const { success, found, ok, code, error, ...details } = result;
+  const ErrorClass = ERROR_CLASSES[code];
+  return ErrorClass
+    ? new ErrorClass(error, details)
+    : new RtlFixerError(ErrorCodes.FAILED, error, details);
+}
+
+module.exports = {
+  ErrorCodes,
+  RtlFixerError,
+  NotInstalledError,
+  ClaudeRunningError,
+  FilesLockedError,
+  IntegrityMismatchError,
+  AlreadyPatchedError,
+  NoBackupsError,
+  NotPatchedError,
+  InterruptedPatchError,
+  ConfigError,
+  toError,
+};
@@ -0,0 +1,24 @@
+const { selectorList } = require("./css");
+
+/**
+ * code — code blocks, inline code and math always render LTR. Inline code is
+ * isolated from the RTL text around it but keeps the paragraph's alignment.
+ */
+module.exports = {
+  name: "code",
+  description: "code and math always render left-to-right",
+
+  css: (config) => `/* --- Code: ALWAYS LTR, never affected by RTL --- */
+${withDescendants(config.selectors.code)} {
+  direction: ltr !important;
+  unicode-bidi: isolate !important;
+}
+/* Code blocks are also left-aligned */
+${withDescendants(config.selectors.codeBlocks)} {
+  text-align: left !important;
+}`,
+};
+
+function withDescendants(selectors) {
+  return selectorList(selectors.flatMap((s) => [s, `${s} *`]));
+}
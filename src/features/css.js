@@ -0,0 +1,31 @@
+/**
+ * Prefixed to every selector of the stylesheet: the page script sets
+ * data-rtl-fixer="off" on <html> to turn all of the CSS off at runtime.
+ */
+const ROOT_SELECTOR = 'html:not([data-rtl-fixer="off"])';
+
+/**
+ * A rule's selector list: each selector behind ROOT_SELECTOR, one per line.
+ * Every rule in a feature's CSS takes its selectors from here or from scoped,
+ * so a selector with commas of its own (":is(a, b)") is prefixed as a whole.
+ */
+function selectorList(selectors) {
+  return selectors.map((s) => `${ROOT_SELECTOR} ${s}`).join(",\n");
+}
+
+/**
+ * "c1 t1, c1 t2, c2 t1, ..." — every item selector inside every container,
+ * one per line.
+ */
+function scoped(containers, items) {
+  return selectorList(containers.flatMap((c) => items.map((i) => `${c} ${i}`)));
+}
+
+/**
+ * The items once the page script has given them a dir (data-rtl-dir marks it).
+ */
+function resolved(items) {
+  return items.map((item) => `${item}[data-rtl-dir]`);
+}
+
+module.exports = { selectorList, scoped, resolved };
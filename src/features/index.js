@@ -0,0 +1,31 @@
+/**
+ * Payload features — the parts of the RTL fix that can be turned on or off.
+ *
+ * Each feature module has:
+ *   name               used in the config file, --features and the marker
+ *   description        one line for status and help
+ *   css?(config)       its stylesheet section; every rule takes its selectors
+ *                      from selectorList or scoped (css.js)
+ *   textSelectors?(config)  elements whose direction the page script manages
+ *   script?(config)    page script added inside the payload's IIFE; it can
+ *                      register hooks.node(node), hooks.all() and
+ *                      hooks.dir(el, dir) callbacks (dir: "rtl", "ltr" or null),
+ *                      and hooks.override(el) ones that return a block's
+ *                      direction to use instead of the detected one
+ *
+ * getRtlPayload (rtl-payload.js) assembles the enabled ones, in this order.
+ */
+const FEATURE_MODULES = [
+  require("./messages"),
+  require("./tables"),
+  require("./lists"),
+  require("./input"),
+  require("./code"),
+  require("./inline"),
+  require("./toggle"),
+  require("./overrides"),
+];
+
+const FEATURES = FEATURE_MODULES.map((feature) => feature.name);
+
+module.exports = { FEATURE_MODULES, FEATURES };
@@ -0,0 +1,76 @@
+const { scoped } = require("./css");
+
+/**
+ * inline — technical tokens inside RTL text keep their left-to-right order.
+ * Links are isolated by CSS. URLs, file paths, @mentions, e-mail addresses,
+ * version numbers, dates and $math$ typed as text are wrapped in invisible
+ * Unicode isolates (LRI … PDI), which copying strips again. Inline code and
+ * rendered math are isolated by "code".
+ */
+module.exports = {
+  name: "inline",
+  description: "links, URLs, paths and numbers in RTL text keep their order",
+
+  css: (config) => `/* --- Inline tokens: links are isolated inside RTL text --- */
+${scoped(config.selectors.containers, ['[data-rtl-dir="rtl"] a'])} {
+  unicode-bidi: plaintext;
+}`,
+
+  script: () => `
+  // LRI … PDI: an invisible left-to-right isolate around a token
+  var LRI = '\\u2066', PDI = '\\u2069';
+  var ISOLATE_MARKS = /[\\u2066\\u2069]/g;
+  var HAS_ISOLATE_MARKS = /[\\u2066\\u2069]/;
+
+  // Tokens that must read left to right, most specific first
+  var TOKEN_REGEX = new RegExp([
+    /[a-z][a-z0-9+.-]*:\\/\\/[^\\s\\u2066\\u2069]*[^\\s\\u2066\\u2069.,;:!?)\\]'"]/.source, // URLs
+    /\\w[\\w.+-]*@[\\w-]+(?:\\.[\\w-]+)+/.source,                                   // e-mail addresses
+    /@\\w(?:[\\w.-]*\\w)?/.source,                                                   // @mentions
+    /[a-z]:\\\\(?:[\\w.-]+\\\\?)+/.source,                                            // C:\\windows\\paths
+    /(?:~|\\.{1,2})?(?:\\/[\\w.-]+)+\\/?|[\\w.][\\w.-]*(?:\\/[\\w.-]+)+\\/?/.source,        // /unix/paths, src/relative.js
+    /[+v]?\\d+(?:[.,:\\/-]\\d+)+(?:-[\\w.]+)?/.source,                                // 1.2.3, 2024-01-05, 10:30
+    /\\$[^$\\n]+\\$/.source                                                          // $inline math$
+  ].join('|'), 'gi');
+
+  // Wrap the tokens of a block's text in isolates (or, with isolate false, unwrap them).
+  //
+  // The marks go straight into text nodes the page's React renders. That is
+  // safe because React never reads a text node back: on each streamed update
+  // it writes its own string over nodeValue, which drops our marks rather than
+  // duplicating them, and the characterData mutation brings the block back
+  // here. Marks already in the text are stripped before tokens are matched
+  // again, so a block is never wrapped twice. Wrapper elements would instead
+  // be nodes React doesn't know about, in the middle of its children.
+  function isolateTokens(el, isolate) {
+    eachText(el, function(node) {
+      var text = node.nodeValue;
+      var plain = text.replace(ISOLATE_MARKS, '');
+      var marked = isolate
+        ? plain.replace(TOKEN_REGEX, function(token) { return LRI + token + PDI; })
+        : plain;
+      // Writing only on change keeps our own characterData mutations from looping
+      if (marked !== text) node.nodeValue = marked;
+    });
+  }
+
+  hooks.dir.push(function(el, dir) {
+    isolateTokens(el, dir === 'rtl');
+  });
+
+  // Copy selected text without the isolate marks
+  document.addEventListener('copy', function(e) {
+    var selection = window.getSelection();
+    if (!selection || selection.rangeCount === 0) return;
+    var text = selection.toString();
+    if (!HAS_ISOLATE_MARKS.test(text)) return;
+    var box = document.createElement('div');
+    for (var r = 0; r < selection.rangeCount; r++) {
+      box.appendChild(selection.getRangeAt(r).cloneContents());
+    }
+    e.clipboardData.setData('text/plain', text.replace(ISOLATE_MARKS, ''));
+    e.clipboardData.setData('text/html', box.innerHTML.replace(ISOLATE_MARKS, ''));
+    e.preventDefault();
+  });
+`,
+};
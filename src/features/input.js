@@ -0,0 +1,42 @@
+const { selectorList } = require("./css");
+
+/**
+ * input — the message composer gets dir="auto" once, and the browser picks
+ * the direction as the user types.
+ */
+module.exports = {
+  name: "input",
+  description: "the message box follows what you type",
+
+  css: (config) => `/* --- User input: dir="auto" set by JS once, CSS ensures it sticks --- */
+${selectorList(config.selectors.input.map((s) => `${s}[dir="auto"]`))} {
+  text-align: start !important;
+}
+${selectorList(config.selectors.input)} {
+  unicode-bidi: plaintext !important;
+}`,
+
+  script: () => `
+  // Set dir="auto" on input elements ONCE — browser handles the rest natively
+  // (no per-keystroke JS, so no freeze)
+  function setupInputDir(el) {
+    if (el.hasAttribute('dir')) return;
+    setDir(el, 'auto');
+  }
+
+  hooks.all.push(function() {
+    document.querySelectorAll(INPUT_SELECTORS).forEach(setupInputDir);
+  });
+
+  // Setup dir="auto" on any new input elements (one-time per element)
+  hooks.node.push(function(node) {
+    if (node.matches && node.matches(INPUT_SELECTORS)) {
+      setupInputDir(node);
+    }
+    var inputs = node.querySelectorAll ? node.querySelectorAll(INPUT_SELECTORS) : [];
+    for (var k = 0; k < inputs.length; k++) {
+      setupInputDir(inputs[k]);
+    }
+  });
+`,
+};
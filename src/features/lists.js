@@ -0,0 +1,83 @@
+const { selectorList } = require("./css");
+
+/**
+ * lists — each list takes the direction of its items (by majority, or from
+ * the first item), which puts its markers and indentation on that side.
+ * Items keep their own direction. List items are text-level elements of
+ * their own here, so this works without "messages" too.
+ */
+module.exports = {
+  name: "lists",
+  description: "lists put their markers on the side most of their items read from",
+
+  textSelectors: () => ["li"],
+
+  css: () => `/* --- Lists: the page script gives each list the direction of its items ---
+ * Logical padding puts every nesting level's indentation, and with it the
+ * markers, on that level's own start side.
+ */
+${selectorList(["ul[data-rtl-dir]", "ol[data-rtl-dir]"])} {
+  padding-inline-start: 2em !important;
+  padding-inline-end: 0 !important;
+}
+${selectorList(["ul[data-rtl-dir] > li", "ol[data-rtl-dir] > li"])} {
+  text-align: start;
+}
+/* Items that read the other way than their list keep their own direction;
+ * their marker moves inside the item, so it can't hang off the far edge */
+${selectorList([
+  'ul[data-rtl-dir="rtl"] > li:not([data-rtl-dir="rtl"])',
+  'ol[data-rtl-dir="rtl"] > li:not([data-rtl-dir="rtl"])',
+])} {
+  direction: ltr;
+  list-style-position: inside;
+}
+${selectorList([
+  'ul[data-rtl-dir="ltr"] > li[data-rtl-dir="rtl"]',
+  'ol[data-rtl-dir="ltr"] > li[data-rtl-dir="rtl"]',
+])} {
+  list-style-position: inside;
+}`,
+
+  script: (config) => `
+  // "majority" or "first-item" (see DIRECTION_OPTIONS in config.js)
+  var LIST_POLICY = ${JSON.stringify(config.direction.lists)};
+
+  // A list's direction from its items' — null when no item is RTL, unless the
+  // list sits inside RTL text, where it must say it reads left to right
+  function listDir(list) {
+    var first = null, rtl = 0, ltr = 0;
+    for (var i = 0; i < list.children.length; i++) {
+      var item = list.children[i];
+      if (item.tagName !== 'LI') continue;
+      var dir = item.getAttribute('data-rtl-dir') === 'rtl' ? 'rtl' : 'ltr';
+      if (!first) first = dir;
+      if (dir === 'rtl') rtl++; else ltr++;
+    }
+    if (rtl === 0) {
+      var context = list.parentElement && list.parentElement.closest('[data-rtl-dir]');
+      return context && context.getAttribute('data-rtl-dir') === 'rtl' ? 'ltr' : null;
+    }
+    if (LIST_POLICY === 'majority' && rtl !== ltr) return rtl > ltr ? 'rtl' : 'ltr';
+    return first;
+  }
+
+  // Re-decide a list's direction, and that of the lists nested in it
+  function updateList(list) {
+    var before = list.getAttribute('data-rtl-dir');
+    setDir(list, listDir(list));
+    if (list.getAttribute('data-rtl-dir') === before) return;
+    var nested = list.querySelectorAll('ul, ol');
+    for (var i = 0; i < nested.length; i++) {
+      setDir(nested[i], listDir(nested[i]));
+    }
+  }
+
+  hooks.dir.push(function(el) {
+    var list = el.parentElement;
+    if (el.tagName === 'LI' && list && (list.tagName === 'UL' || list.tagName === 'OL')) {
+      updateList(list);
+    }
+  });
+`,
+};
@@ -0,0 +1,22 @@
+const { scoped, resolved } = require("./css");
+
+/**
+ * messages — paragraphs, list items, headings and quotes in messages each
+ * pick their own direction.
+ */
+module.exports = {
+  name: "messages",
+  description: "message text picks its own direction",
+
+  textSelectors: (config) => config.selectors.text,
+
+  css: (config) => `/* --- Message text blocks: auto-detect direction --- */
+${scoped(config.selectors.containers, config.selectors.text)} {
+  unicode-bidi: plaintext;
+  text-align: start;
+}
+/* Blocks the page script resolved: its explicit dir wins over plaintext */
+${scoped(config.selectors.containers, resolved(config.selectors.text))} {
+  unicode-bidi: isolate;
+}`,
+};
@@ -0,0 +1,260 @@
+const { selectorList } = require("./css");
+
+/**
+ * overrides — a small control, shown over the message the pointer is on,
+ * sets that message's direction by hand: auto, RTL or LTR. The choice is kept
+ * in localStorage per conversation and message, so it survives re-renders.
+ *
+ * A message is an innermost container (selectors.containers). It is known by
+ * the id the page gives it, or else by its opening text, so messages loaded
+ * or inserted above it don't change which one an override belongs to.
+ */
+module.exports = {
+  name: "overrides",
+  description: "a control over the hovered message sets its direction by hand",
+
+  css: () => `/* --- Per-message overrides: one control, placed over the hovered message --- */
+${selectorList(["[data-rtl-fixer-override]"])} {
+  display: block !important;
+  position: fixed;
+  z-index: 2147483646;
+  padding: 0 6px;
+  font: 10px/1.6 system-ui, sans-serif;
+  direction: ltr;
+  border: 1px solid rgba(128, 128, 128, 0.5);
+  border-radius: 4px;
+  background: rgba(128, 128, 128, 0.15);
+  color: inherit;
+  cursor: pointer;
+  user-select: none;
+  opacity: 0;
+  pointer-events: none;
+  transition: opacity 0.15s;
+}
+${selectorList(["[data-rtl-fixer-override]::before"])} {
+  content: attr(data-label);
+}
+${selectorList(["[data-rtl-fixer-override][data-visible]"])} {
+  opacity: 0.8;
+  pointer-events: auto;
+}`,
+
+  script: (config) => `
+  var OVERRIDES_KEY = 'claude-rtl-fixer:overrides';
+  var OVERRIDES = ['auto', 'rtl', 'ltr'];
+  var OVERRIDE_LABELS = { auto: 'auto', rtl: 'RTL', ltr: 'LTR' };
+  var MESSAGE_ATTR = 'data-rtl-message';
+  var OVERRIDE_ATTR = 'data-rtl-override';
+
+  // Containers not labelled yet
+  var NEW_CONTAINER_SELECTORS = ${JSON.stringify(
+    config.selectors.containers.map((c) => `${c}:not([data-rtl-message])`).join(", ")
+  )};
+
+  // Where a message's own id may be: data-message-id on it or around it, or
+  // data-testid / id on its containers when the value holds an id
+  // ("message-3f2a9c1e"), not a name every message shares ("user-message")
+  var ID_ATTRIBUTES = ['data-testid', 'id'];
+  var ID_VALUE = /[0-9a-f]{8,}|\\d{4,}/i;
+
+  // Length of the opening text that identifies a message without an id
+  var OPENING_LENGTH = 200;
+
+  // { conversation path: { message id: 'rtl' | 'ltr' } }
+  function readOverrides() {
+    try {
+      return JSON.parse(localStorage.getItem(OVERRIDES_KEY)) || {};
+    } catch(e) {
+      return {};
+    }
+  }
+
+  function storeOverride(id, dir) {
+    var overrides = readOverrides();
+    var conversation = overrides[location.pathname] || {};
+    if (dir) {
+      conversation[id] = dir;
+    } else {
+      delete conversation[id];
+    }
+    if (Object.keys(conversation).length) {
+      overrides[location.pathname] = conversation;
+    } else {
+      delete overrides[location.pathname];
+    }
+    try { localStorage.setItem(OVERRIDES_KEY, JSON.stringify(overrides)); } catch(e) {}
+  }
+
+  // 32-bit FNV-1a, in base 36
+  function hashText(text) {
+    var hash = 0x811c9dc5;
+    for (var i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(36);
+  }
+
+  // A message's id: one the page gives it, or else a hash of its opening
+  // text. Null while it has no text yet.
+  function messageId(message) {
+    var owner = message.closest('[data-message-id]');
+    if (owner) return 'id:' + owner.getAttribute('data-message-id');
+    for (var el = message; el && el.matches(CONTAINER_SELECTORS); el = el.parentElement) {
+      for (var a = 0; a < ID_ATTRIBUTES.length; a++) {
+        var value = el.getAttribute(ID_ATTRIBUTES[a]);
+        if (value && ID_VALUE.test(value)) return 'id:' + value;
+      }
+    }
+    var opening = (message.textContent || '').replace(/\\s+/g, ' ').trim().slice(0, OPENING_LENGTH);
+    return opening ? 'text:' + hashText(opening) : null;
+  }
+
+  // Re-apply the direction of every block in a message
+  function refreshMessage(message) {
+    if (!TEXT_SELECTORS) return;
+    try {
+      if (message.matches(TEXT_SELECTORS)) applyDir(message);
+      message.querySelectorAll(TEXT_SELECTORS).forEach(function(el) {
+        if (!isInputArea(el)) applyDir(el);
+      });
+    } catch(e) {}
+  }
+
+  // The one control, a child of <body> like the toggle's indicator: inside a
+  // message, React would remove it or fail on it when it re-renders the message
+  var control = null;
+  // The message the control is placed over
+  var hovered = null;
+
+  // Put the control at the hovered message's top-right corner, or hide it
+  function placeControl() {
+    if (!control) return;
+    if (!hovered || !hovered.isConnected) {
+      hovered = null;
+      control.removeAttribute('data-visible');
+      return;
+    }
+    var rect = hovered.getBoundingClientRect();
+    control.style.top = Math.max(rect.top, 0) + 'px';
+    control.style.right = (document.documentElement.clientWidth - rect.right) + 'px';
+    control.setAttribute('data-label', OVERRIDE_LABELS[hovered.getAttribute(OVERRIDE_ATTR) || 'auto']);
+    control.setAttribute('data-visible', '');
+  }
+
+  function showOverride(message, dir) {
+    if (dir) {
+      message.setAttribute(OVERRIDE_ATTR, dir);
+    } else {
+      message.removeAttribute(OVERRIDE_ATTR);
+    }
+    if (message === hovered) placeControl();
+  }
+
+  // The id is taken again on each click: a message labelled while it
+  // streamed in had less text then
+  function cycleOverride(message) {
+    var current = message.getAttribute(OVERRIDE_ATTR) || 'auto';
+    var next = OVERRIDES[(OVERRIDES.indexOf(current) + 1) % OVERRIDES.length];
+    var dir = next === 'auto' ? null : next;
+    var id = messageId(message);
+    if (!id) return;
+    message.setAttribute(MESSAGE_ATTR, id);
+    storeOverride(id, dir);
+    showOverride(message, dir);
+    if (mode !== 'off') refreshMessage(message);
+  }
+
+  // Hidden unless our CSS, which is off along with the fix, shows it. The
+  // label comes from CSS too, so it adds no text to the page.
+  function createControl() {
+    if (control || !document.body) return;
+    control = document.createElement('button');
+    control.setAttribute('type', 'button');
+    control.setAttribute('hidden', '');
+    control.setAttribute('data-rtl-fixer-override', '');
+    control.setAttribute('title', 'Claude RTL Fixer — set this message\\'s direction');
+    control.addEventListener('click', function(e) {
+      e.preventDefault();
+      e.stopPropagation();
+      if (hovered) cycleOverride(hovered);
+    });
+    document.body.appendChild(control);
+  }
+
+  function unlabelMessage(message) {
+    var hadOverride = message.hasAttribute(OVERRIDE_ATTR);
+    message.removeAttribute(MESSAGE_ATTR);
+    message.removeAttribute(OVERRIDE_ATTR);
+    if (message === hovered) {
+      hovered = null;
+      placeControl();
+    }
+    if (hadOverride && mode !== 'off') refreshMessage(message);
+  }
+
+  // Label the messages that are new since the last pass (innermost containers
+  // with text) and apply their stored overrides
+  function labelMessages() {
+    if (!CONTAINER_SELECTORS) return;
+    var conversation = readOverrides()[location.pathname] || {};
+    document.querySelectorAll(NEW_CONTAINER_SELECTORS).forEach(function(message) {
+      if (message.querySelector(CONTAINER_SELECTORS)) return;
+      var id = messageId(message);
+      if (!id) return;
+      // A labelled container that now holds this one is no longer a message
+      var outer = message.parentElement && message.parentElement.closest('[' + MESSAGE_ATTR + ']');
+      if (outer) unlabelMessage(outer);
+      var dir = conversation[id] || null;
+      message.setAttribute(MESSAGE_ATTR, id);
+      showOverride(message, dir);
+      if (dir && mode !== 'off') refreshMessage(message);
+    });
+  }
+
+  // Messages arrive a node at a time while streaming — label them once per frame
+  var pendingLabel = null;
+
+  function scheduleLabel() {
+    if (pendingLabel) return;
+    pendingLabel = requestAnimationFrame(function() {
+      pendingLabel = null;
+      try { labelMessages(); } catch(e) {}
+    });
+  }
+
+  hooks.node.push(function(node) {
+    if (node !== control) scheduleLabel();
+  });
+  hooks.all.push(labelMessages);
+
+  // Follow the pointer from message to message. Moving onto the control
+  // itself keeps it where it is.
+  document.addEventListener('mouseover', function(e) {
+    if (e.target === control) return;
+    var message = e.target.closest ? e.target.closest('[' + MESSAGE_ATTR + ']') : null;
+    if (message !== hovered) {
+      hovered = message;
+      placeControl();
+    }
+  });
+  document.addEventListener('mouseout', function(e) {
+    if (e.relatedTarget) return;
+    hovered = null;
+    placeControl();
+  });
+  // The message moves under a still pointer while the conversation scrolls
+  document.addEventListener('scroll', placeControl, true);
+
+  if (document.body) {
+    createControl();
+  } else {
+    document.addEventListener('DOMContentLoaded', createControl);
+  }
+
+  hooks.override.push(function(el) {
+    var message = el.closest('[' + MESSAGE_ATTR + ']');
+    return message ? message.getAttribute(OVERRIDE_ATTR) : null;
+  });
+`,
+};
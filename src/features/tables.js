@@ -0,0 +1,20 @@
+const { scoped, resolved } = require("./css");
+
+/**
+ * tables — each table cell picks its own direction.
+ */
+module.exports = {
+  name: "tables",
+  description: "each table cell picks its own direction",
+
+  textSelectors: (config) => config.selectors.cells,
+
+  css: (config) => `/* --- Tables: each cell detects its own direction --- */
+${scoped(config.selectors.containers, config.selectors.cells)} {
+  unicode-bidi: plaintext;
+  text-align: start;
+}
+${scoped(config.selectors.containers, resolved(config.selectors.cells))} {
+  unicode-bidi: isolate;
+}`,
+};
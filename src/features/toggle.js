@@ -0,0 +1,72 @@
+/**
+ * toggle — switch the fix at runtime, without unpatching: Alt+Shift+R or a
+ * click on the small indicator in the corner cycles through auto, off, forced
+ * RTL and forced LTR. The choice is kept in localStorage.
+ */
+module.exports = {
+  name: "toggle",
+  description: "Alt+Shift+R and a corner indicator switch the fix on, off or force a direction",
+
+  script: () => `
+  var MODE_KEY = 'claude-rtl-fixer:mode';
+  var MODES = ['auto', 'off', 'rtl', 'ltr'];
+  var MODE_LABELS = { auto: 'RTL: auto', off: 'RTL: off', rtl: 'RTL: forced', ltr: 'LTR: forced' };
+  var indicator = null;
+
+  function readStoredMode() {
+    try {
+      var stored = localStorage.getItem(MODE_KEY);
+      return MODES.indexOf(stored) === -1 ? 'auto' : stored;
+    } catch(e) {
+      return 'auto';
+    }
+  }
+
+  function showMode() {
+    if (!indicator) return;
+    indicator.textContent = MODE_LABELS[mode];
+    indicator.style.opacity = mode === 'auto' ? '0.35' : '0.85';
+  }
+
+  // Next mode in MODES, saved for the next start
+  function cycleMode() {
+    var next = MODES[(MODES.indexOf(mode) + 1) % MODES.length];
+    try { localStorage.setItem(MODE_KEY, next); } catch(e) {}
+    setMode(next);
+    showMode();
+  }
+
+  // Styled inline: it has to stay visible while the fix, and with it all of
+  // our CSS, is off
+  function createIndicator() {
+    if (indicator || !document.body) return;
+    indicator = document.createElement('button');
+    indicator.setAttribute('type', 'button');
+    indicator.setAttribute('data-rtl-fixer-toggle', '');
+    indicator.setAttribute('title', 'Claude RTL Fixer — click or press Alt+Shift+R to switch');
+    indicator.style.cssText =
+      'position: fixed; left: 8px; bottom: 8px; z-index: 2147483647; padding: 2px 8px;' +
+      'font: 11px/1.6 system-ui, sans-serif; direction: ltr; border-radius: 6px; cursor: pointer;' +
+      'border: 1px solid rgba(128, 128, 128, 0.5); background: rgba(128, 128, 128, 0.15); color: inherit;';
+    indicator.addEventListener('click', cycleMode);
+    document.body.appendChild(indicator);
+    showMode();
+  }
+
+  // e.code, not e.key: on macOS Option+Shift+R types a character
+  document.addEventListener('keydown', function(e) {
+    if (e.code === 'KeyR' && e.altKey && e.shiftKey && !e.ctrlKey && !e.metaKey) {
+      e.preventDefault();
+      cycleMode();
+    }
+  }, true);
+
+  // Start in the stored mode; startObserving applies it
+  mode = readStoredMode();
+  if (document.body) {
+    createIndicator();
+  } else {
+    document.addEventListener('DOMContentLoaded', createIndicator);
+  }
+`,
+};
@@ -1,85 +1,137 @@
 const fs = require("fs");
 const path = require("path");
+const { LAYOUTS, getPlatformLayout } = require("./layouts");
+const { ErrorCodes } = require("./errors");
 
 /**
- * Auto-detect Claude Desktop installation on Windows.
- * Scans %LOCALAPPDATA%/AnthropicClaude/app-* and picks the latest version.
+ * Where to look for Claude Desktop: options.installDir, else the
+ * CLAUDE_RTL_INSTALL_DIR environment variable, else the installer's default
+ * location for this platform. A custom folder may use any layout.
+ *
+ * Returns { found, root, layout?, error? } — root is set even when nothing is
+ * installed there yet.
  */
-function findClaudeInstall() {
-  const localAppData =
-    process.env.LOCALAPPDATA ||
-    path.join(process.env.USERPROFILE || "", "AppData", "Local");
+function findInstallRoot(options = {}) {
+  const customDir = options.installDir || process.env.CLAUDE_RTL_INSTALL_DIR;
 
-  const claudeBase = path.join(localAppData, "AnthropicClaude");
+  if (customDir) {
+    const root = path.resolve(customDir);
+    if (!fs.existsSync(root)) {
+      return {
+        found: false,
+        code: ErrorCodes.NOT_INSTALLED,
+        root,
+        error: `Install folder not found: ${root}`,
+      };
+    }
+    const layout = LAYOUTS.find((l) => l.matches(root));
+    if (!layout) {
+      return {
+        found: false,
+        code: ErrorCodes.NOT_INSTALLED,
+        root,
+        error:
+          `No Claude Desktop install found in ${root}\n` +
+          "  Expected one of:\n" +
+          LAYOUTS.map((l) => `  - ${l.expected}`).join("\n"),
+      };
+    }
+    return { found: true, root, layout };
+  }
 
-  if (!fs.existsSync(claudeBase)) {
+  const layout = getPlatformLayout();
+  const roots = layout.defaultRoots();
+  const root = roots.find((r) => fs.existsSync(r));
+  if (!root) {
     return {
       found: false,
+      code: ErrorCodes.NOT_INSTALLED,
+      root: roots[0],
+      layout,
       error:
         "Claude Desktop is not installed.\n" +
-        `  Expected directory: ${claudeBase}\n` +
-        "  Download it from https://claude.ai/download",
+        `  Expected: ${roots.join(" or ")}\n` +
+        "  Download it from https://claude.ai/download\n" +
+        "  Installed somewhere else? Use --install-dir or CLAUDE_RTL_INSTALL_DIR.",
     };
   }
+  if (!layout.matches(root)) {
+    return {
+      found: false,
+      code: ErrorCodes.NOT_INSTALLED,
+      root,
+      layout,
+      error:
+        "No Claude Desktop versions found.\n" +
+        `  Looked in: ${root}\n` +
+        `  Expected ${layout.expected}`,
+    };
+  }
+  return { found: true, root, layout };
+}
 
-  // Find all app-* version directories
-  const entries = fs.readdirSync(claudeBase, { withFileTypes: true });
-  const appDirs = entries
-    .filter((e) => e.isDirectory() && /^app-\d+\.\d+\.\d+$/.test(e.name))
-    .map((e) => ({
-      name: e.name,
-      version: e.name
-        .replace("app-", "")
-        .split(".")
-        .map(Number),
-      fullPath: path.join(claudeBase, e.name),
-    }))
-    .sort((a, b) => {
-      // Sort by version descending (major, minor, patch)
-      for (let i = 0; i < 3; i++) {
-        if (a.version[i] !== b.version[i]) return b.version[i] - a.version[i];
-      }
-      return 0;
-    });
+/**
+ * Find the install root and every version in it, newest first.
+ * Returns { found, root, installs?, error? }
+ */
+function scanInstalls(options) {
+  const location = findInstallRoot(options);
+  if (!location.found) return location;
 
-  if (appDirs.length === 0) {
+  const installs = location.layout
+    .listInstalls(location.root)
+    .map((install) => (install.found ? install : { code: ErrorCodes.NOT_INSTALLED, ...install }));
+  if (installs.length === 0) {
     return {
       found: false,
+      code: ErrorCodes.NOT_INSTALLED,
+      root: location.root,
       error:
         "No Claude Desktop versions found.\n" +
-        `  Looked in: ${claudeBase}\n` +
-        "  Expected directories like app-1.1.2321",
+        `  Looked in: ${location.root}\n` +
+        `  Expected ${location.layout.expected}`,
     };
   }
+  return { found: true, root: location.root, installs };
+}
 
-  const latest = appDirs[0];
-  const resourcesDir = path.join(latest.fullPath, "resources");
-  const asarPath = path.join(resourcesDir, "app.asar");
-  const exePath = path.join(latest.fullPath, "claude.exe");
+/**
+ * Auto-detect the Claude Desktop installation (see findInstallRoot for where
+ * it looks) and pick the latest version, or the one given as options.version ("X.Y.Z").
+ */
+function findClaudeInstall(options = {}) {
+  const scan = scanInstalls(options);
+  if (!scan.found) return scan;
 
-  // Validate files exist
-  const missing = [];
-  if (!fs.existsSync(asarPath)) missing.push(`app.asar: ${asarPath}`);
-  if (!fs.existsSync(exePath)) missing.push(`claude.exe: ${exePath}`);
+  if (!options.version) return scan.installs[0];
 
-  if (missing.length > 0) {
+  const target = scan.installs.find((i) => i.version === options.version);
+  if (!target) {
     return {
       found: false,
+      code: ErrorCodes.NOT_INSTALLED,
       error:
-        `Claude Desktop ${latest.name} is incomplete — missing files:\n` +
-        missing.map((m) => `  - ${m}`).join("\n"),
+        `Claude Desktop v${options.version} is not installed.\n` +
+        `  Installed versions: ${scan.installs.map((i) => i.version).join(", ")}`,
     };
   }
+  return target;
+}
+
+/**
+ * Every installed Claude Desktop version, newest first.
+ * Returns { found, versions?, installs?, error? }; incomplete versions are
+ * included with found: false and an error.
+ */
+function findAllClaudeInstalls(options = {}) {
+  const scan = scanInstalls(options);
+  if (!scan.found) return scan;
 
   return {
     found: true,
-    version: latest.name.replace("app-", ""),
-    appDir: latest.fullPath,
-    resourcesDir,
-    asarPath,
-    exePath,
-    allVersions: appDirs.map((d) => d.name.replace("app-", "")),
+    versions: scan.installs.map((i) => i.version),
+    installs: scan.installs,
   };
 }
 
-module.exports = { findClaudeInstall };
+module.exports = { findClaudeInstall, findAllClaudeInstalls, findInstallRoot };
@@ -0,0 +1,102 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Electron fuse inspection for the Electron binary (claude.exe on Windows).
+ *
+ * Fuses are compiled into the binary as a "fuse wire":
+ *   <sentinel> <version byte> <fuse count byte> <one state byte per fuse>
+ *
+ * State bytes: "0" disabled, "1" enabled, "r" removed, 0x90 inherit (use Electron's default).
+ * Fuse order is fixed by Electron (FuseV1Options); see @electron/fuses.
+ */
+
+const FUSE_SENTINEL = Buffer.from("dL7pKGdnNz796PbbjQWNKmHXBZaB9tsX", "ascii");
+const CHUNK_SIZE = 1024 * 1024;
+
+const FUSE_NAMES = [
+  "RunAsNode",
+  "EnableCookieEncryption",
+  "EnableNodeOptionsEnvironmentVariable",
+  "EnableNodeCliInspectArguments",
+  "EnableEmbeddedAsarIntegrityValidation",
+  "OnlyLoadAppFromAsar",
+  "LoadBrowserProcessSpecificV8Snapshot",
+  "GrantFileProtocolExtraPrivileges",
+  "WasmTrapHandlers",
+];
+
+const FUSE_STATES = {
+  0x30: "disabled",
+  0x31: "enabled",
+  0x72: "removed",
+  0x90: "inherit",
+};
+
+/**
+ * Find the first occurrence of the fuse sentinel, reading the file in chunks.
+ * Returns the file offset just past the sentinel, or -1.
+ */
+function findSentinel(fd) {
+  const fileSize = fs.fstatSync(fd).size;
+  const overlap = FUSE_SENTINEL.length - 1;
+  const chunk = Buffer.alloc(CHUNK_SIZE + overlap);
+
+  for (let pos = 0; pos < fileSize; pos += CHUNK_SIZE) {
+    const length = Math.min(chunk.length, fileSize - pos);
+    fs.readSync(fd, chunk, 0, length, pos);
+    const idx = chunk.subarray(0, length).indexOf(FUSE_SENTINEL);
+    if (idx !== -1) return pos + idx + FUSE_SENTINEL.length;
+  }
+  return -1;
+}
+
+/**
+ * Read the Electron fuse wire from an exe.
+ *
+ * Returns { found, version?, fuses?: { [name]: state }, error? }
+ */
+function readFuses(exePath) {
+  let fd;
+  try {
+    fd = fs.openSync(exePath, "r");
+    const wireOffset = findSentinel(fd);
+    if (wireOffset === -1) {
+      return { found: false, error: `No Electron fuse wire found in ${path.basename(exePath)}` };
+    }
+
+    const meta = Buffer.alloc(2);
+    fs.readSync(fd, meta, 0, 2, wireOffset);
+    const version = meta[0];
+    const count = meta[1];
+    if (version !== 1) {
+      return { found: false, error: `Unsupported fuse wire version ${version}` };
+    }
+
+    const states = Buffer.alloc(count);
+    if (fs.readSync(fd, states, 0, count, wireOffset + 2) !== count) {
+      return { found: false, error: "Fuse wire is truncated" };
+    }
+
+    const fuses = {};
+    for (let i = 0; i < count; i++) {
+      fuses[FUSE_NAMES[i] || `Fuse${i}`] = FUSE_STATES[states[i]] || "unknown";
+    }
+    return { found: true, version, fuses };
+  } catch (err) {
+    return { found: false, error: `Could not read fuses: ${err.message}` };
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+}
+
+/**
+ * Whether Electron will check the ASAR header hash at startup.
+ * Exes without a fuse wire predate fuses, so assume validation is on (the safe side).
+ */
+function isAsarIntegrityEnforced(fuseResult) {
+  if (!fuseResult.found) return true;
+  return fuseResult.fuses.EnableEmbeddedAsarIntegrityValidation === "enabled";
+}
+
+module.exports = { readFuses, isAsarIntegrityEnforced, FUSE_NAMES };
@@ -0,0 +1,201 @@
+const EventEmitter = require("events");
+const {
+  patch,
+  updatePatch,
+  unpatch,
+  status,
+  recoverPatch,
+  findInterruptedPatch,
+  forEachVersion,
+  verifyBackupFiles,
+  listStoredBackups,
+  pruneStoredBackups,
+} = require("./patcher");
+const { watch } = require("./watcher");
+const { EventTypes } = require("./progress");
+const errors = require("./errors");
+
+/**
+ * Library entry point — everything the CLI does, as a Node API.
+ *
+ *   const { createFixer } = require("claude-rtl-fixer");
+ *   const fixer = createFixer({ installDir });
+ *   fixer.on("step-start", (event) => console.log(event.message));
+ *   const result = await fixer.patch();
+ *
+ * Methods resolve with the same result objects the CLI prints with --json and
+ * reject with an RtlFixerError subclass (errors.js) whose `code` says what
+ * failed. Nothing is printed and the process is never exited.
+ *
+ * Progress events (progress.js) are emitted under their own type and under
+ * "progress". With { all: true }, patch and unpatch emit a "version" event
+ * before each version.
+ * The fixer never emits "error" — failures reject the returned promise.
+ */
+class RtlFixer extends EventEmitter {
+  /**
+   * defaults are merged into the options of every call (e.g. { installDir }).
+   */
+  constructor(defaults = {}) {
+    super();
+    this.defaults = defaults;
+  }
+
+  /** Call options with the defaults and an onEvent that re-emits on this fixer */
+  withEvents(options = {}) {
+    return {
+      ...this.defaults,
+      ...options,
+      onEvent: (event) => {
+        this.emit(event.type, event);
+        this.emit("progress", event);
+      },
+    };
+  }
+
+  /**
+   * Run fn for every installed version. Resolves with { success, results },
+   * where each result has a version and failed ones keep their code and error
+   * (one version failing does not reject). Rejects if no install is found.
+   */
+  async eachVersion(fn, options) {
+    const callOptions = this.withEvents(options);
+    const result = await forEachVersion((versionOptions) => {
+      callOptions.onEvent({
+        type: "version",
+        version: versionOptions.version,
+        message: `== Claude Desktop v${versionOptions.version} ==`,
+      });
+      return fn(versionOptions);
+    }, callOptions);
+    return result.results ? result : unwrap(result);
+  }
+
+  /**
+   * Apply the RTL fix. options: version, all, dryRun, installDir, configPath,
+   * features ({ name: true|false }).
+   * With all, versions that are already patched are skipped ({ skipped: true }).
+   */
+  async patch(options = {}) {
+    if (options.all) {
+      return this.eachVersion(async (versionOptions) => {
+        const current = status(versionOptions);
+        if (current.success && current.patched) {
+          return { success: true, skipped: true, message: "already patched" };
+        }
+        return patch(versionOptions);
+      }, options);
+    }
+    return unwrap(await patch(this.withEvents(options)));
+  }
+
+  /**
+   * Replace the installed RTL fix with the current payload, keeping the
+   * original backups. Takes the same options as patch(); with all, versions
+   * that aren't patched are skipped.
+   */
+  async update(options = {}) {
+    if (options.all) {
+      return this.eachVersion(async (versionOptions) => {
+        const current = status(versionOptions);
+        if (current.success && !current.patched) {
+          return { success: true, skipped: true, message: "not patched" };
+        }
+        return updatePatch(versionOptions);
+      }, options);
+    }
+    return unwrap(await updatePatch(this.withEvents(options)));
+  }
+
+  /**
+   * Remove the RTL fix. options: version, all, backupId, installDir.
+   * With all, versions that aren't patched are skipped.
+   */
+  async unpatch(options = {}) {
+    if (options.all) {
+      return this.eachVersion(async (versionOptions) => {
+        const current = status(versionOptions);
+        if (current.success && !current.patched && !current.interruptedPatch) {
+          return { success: true, skipped: true, message: "not patched" };
+        }
+        return unpatch(versionOptions);
+      }, options);
+    }
+    return unwrap(unpatch(this.withEvents(options)));
+  }
+
+  /**
+   * Patch state of one version (options.version, default newest), or of all.
+   */
+  async status(options = {}) {
+    if (options.all) {
+      // Status reports no progress, so there is nothing to announce per version
+      const result = await forEachVersion(status, { ...this.defaults, ...options });
+      return result.results ? result : unwrap(result);
+    }
+    return unwrap(status(this.withEvents(options)));
+  }
+
+  /**
+   * Finish ("finish") or roll back ("rollback") an interrupted patch.
+   */
+  async recover(mode, options = {}) {
+    if (mode !== "finish" && mode !== "rollback") {
+      throw new TypeError('recover mode must be "finish" or "rollback"');
+    }
+    return unwrap(await recoverPatch(mode, this.withEvents(options)));
+  }
+
+  /**
+   * The journal of an interrupted patch (with claudeVersion), or null.
+   */
+  async findInterruptedPatch(options = {}) {
+    return findInterruptedPatch(this.withEvents(options));
+  }
+
+  /**
+   * Check the stored backups against their manifests. Resolves even when
+   * some fail; check result.ok and each backup's problems.
+   */
+  async verifyBackups(options = {}) {
+    return verifyBackupFiles(this.withEvents(options));
+  }
+
+  async listBackups() {
+    return listStoredBackups();
+  }
+
+  /**
+   * Delete all but the newest `keep` backups, never one a patched install needs.
+   */
+  async pruneBackups(keep, options = {}) {
+    return unwrap(pruneStoredBackups(keep, this.withEvents(options)));
+  }
+
+  /**
+   * Patch new versions as they are installed. Returns { stop } right away;
+   * what happens is reported as "info" and "warning" events.
+   */
+  watch(options = {}) {
+    return watch(this.withEvents(options));
+  }
+}
+
+/**
+ * Return a successful result, or throw the typed error for a failed one.
+ */
+function unwrap(result) {
+  if (result.success === false) throw errors.toError(result);
+  return result;
+}
+
+function createFixer(defaults) {
+  return new RtlFixer(defaults);
+}
+
+module.exports = {
+  createFixer,
+  RtlFixer,
+  EventTypes,
+  ...errors,
+};
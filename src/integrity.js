@@ -1,5 +1,12 @@
 const fs = require("fs");
 const crypto = require("crypto");
+const { readAt, readPeHeaders, findResource, updatePeChecksum } = require("./pe");
+const { replaceFileAtomic } = require("./atomic");
+const { readPlistHash, patchPlistHash } = require("./plist");
+
+const INTEGRITY_RESOURCE_TYPE = "ElectronAsar";
+const INTEGRITY_RESOURCE_NAME = "Integrity";
+const ASAR_INTEGRITY_FILE = "resources\\app.asar";
 
 /**
  * Compute the SHA256 hash of the ASAR header string.
@@ -26,52 +33,133 @@ function computeAsarHeaderHash(asarPath) {
     const headerString = Buffer.alloc(headerStringLength);
     fs.readSync(fd, headerString, 0, headerStringLength, 16);
 
-    return crypto.createHash("sha256").update(headerString).digest("hex");
+    return hashAsarHeaderString(headerString);
   } finally {
     fs.closeSync(fd);
   }
 }
 
 /**
- * Read the current integrity hash embedded in claude.exe.
+ * The integrity hash of an ASAR header string that isn't on disk yet.
+ */
+function hashAsarHeaderString(headerString) {
+  return crypto.createHash("sha256").update(headerString).digest("hex");
+}
+
+/**
+ * Read and decode the ElectronAsar/Integrity resource from claude.exe.
  *
- * The hash is stored in a PE resource (ElectronAsar/Integrity) as a JSON array:
- *   [{"file":"resources\\app.asar","alg":"SHA256","value":"<64-char-hex>"}]
+ * The resource is a JSON array with one entry per protected archive:
+ *   [{"file":"resources\\app.asar","alg":"SHA256","value":"<64-char-hex>"}, ...]
  *
- * We search the binary for this known pattern rather than parsing PE resources,
- * which is simpler and works reliably.
+ * Returns { found, offset?, size?, raw?, entries?, positions?, error? } where
+ * positions[i] is the file offset of entries[i].value inside the exe.
  */
-function readEmbeddedHash(exePath) {
-  const buf = fs.readFileSync(exePath);
-  // Search for the JSON pattern containing the hash
-  const pattern = '"alg":"SHA256","value":"';
-  const idx = buf.indexOf(pattern);
-
-  if (idx === -1) {
-    return { found: false, error: "Could not find integrity hash in exe" };
+function readIntegrityResource(exePath) {
+  let fd;
+  try {
+    fd = fs.openSync(exePath, "r");
+    const pe = readPeHeaders(fd);
+    const resource = findResource(fd, pe, INTEGRITY_RESOURCE_TYPE, INTEGRITY_RESOURCE_NAME);
+    if (!resource) {
+      return {
+        found: false,
+        error:
+          `No ${INTEGRITY_RESOURCE_TYPE}/${INTEGRITY_RESOURCE_NAME} resource in claude.exe.\n` +
+          "  This Claude build does not embed an ASAR integrity hash.",
+      };
+    }
+
+    const raw = readAt(fd, resource.offset, resource.size);
+    const text = raw.toString("utf-8").replace(/[\0\s]+$/, "");
+    let entries;
+    try {
+      entries = JSON.parse(text);
+    } catch (err) {
+      return { found: false, error: `Integrity resource is not valid JSON: ${err.message}` };
+    }
+
+    if (!Array.isArray(entries) || entries.length === 0) {
+      return { found: false, error: "Integrity resource is malformed: expected a non-empty JSON array" };
+    }
+    for (const entry of entries) {
+      if (
+        !entry ||
+        typeof entry.file !== "string" ||
+        entry.alg !== "SHA256" ||
+        typeof entry.value !== "string" ||
+        !/^[0-9a-f]{64}$/.test(entry.value)
+      ) {
+        return {
+          found: false,
+          error: `Integrity resource has an unexpected entry: ${JSON.stringify(entry)}`,
+        };
+      }
+    }
+
+    // Entries appear in array order, so searching forward from the previous
+    // match finds each entry's own value even if two hashes are identical.
+    const positions = [];
+    let from = 0;
+    for (const entry of entries) {
+      const idx = raw.indexOf(`"${entry.value}"`, from, "ascii");
+      if (idx === -1) {
+        return { found: false, error: "Integrity resource is malformed: could not locate hash value" };
+      }
+      positions.push(resource.offset + idx + 1);
+      from = idx + entry.value.length + 2;
+    }
+
+    return { found: true, offset: resource.offset, size: resource.size, raw, entries, positions };
+  } catch (err) {
+    return { found: false, error: `Could not read claude.exe resources: ${err.message}` };
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
   }
+}
 
-  const hashStart = idx + pattern.length;
-  const hash = buf.slice(hashStart, hashStart + 64).toString("ascii");
+function findEntryIndex(entries, file) {
+  const normalize = (name) => name.replace(/\//g, "\\").toLowerCase();
+  return entries.findIndex((e) => normalize(e.file) === normalize(file));
+}
+
+/**
+ * Read the current integrity hash embedded in claude.exe for one archive
+ * (resources\app.asar by default).
+ *
+ * Returns { found, hash?, offset?, entries?, error? }
+ */
+function readEmbeddedHash(exePath, file = ASAR_INTEGRITY_FILE) {
+  const resource = readIntegrityResource(exePath);
+  if (!resource.found) return resource;
 
-  // Validate it looks like a hex hash
-  if (!/^[0-9a-f]{64}$/.test(hash)) {
+  const index = findEntryIndex(resource.entries, file);
+  if (index === -1) {
     return {
       found: false,
-      error: `Found pattern but hash is invalid: ${hash}`,
+      error:
+        `Integrity resource has no entry for ${file}.\n` +
+        `  Entries: ${resource.entries.map((e) => e.file).join(", ")}`,
     };
   }
 
-  return { found: true, hash, offset: hashStart };
+  return {
+    found: true,
+    hash: resource.entries[index].value,
+    offset: resource.positions[index],
+    entries: resource.entries,
+  };
 }
 
 /**
- * Replace the old integrity hash with a new one in claude.exe.
- * Does a binary search-and-replace of the 64-char hex string.
+ * Replace the integrity hash for one archive in claude.exe.
+ * Only the 64 hex characters of that entry change, so the resource keeps its size.
+ * The PE CheckSum is recomputed afterwards. The change is made in a full copy
+ * of the exe that then replaces it, so claude.exe is never half-written.
  *
- * Returns { success, error? }
+ * Returns { success, checksum?: { oldChecksum, newChecksum }, error? }
  */
-function patchExeHash(exePath, oldHash, newHash) {
+function patchExeHash(exePath, oldHash, newHash, file = ASAR_INTEGRITY_FILE) {
   if (oldHash === newHash) {
     return { success: true, message: "Hashes are identical, no change needed" };
   }
@@ -80,36 +168,108 @@ function patchExeHash(exePath, oldHash, newHash) {
     return { success: false, error: "Invalid hash format" };
   }
 
-  const buf = fs.readFileSync(exePath);
-  const oldBuf = Buffer.from(oldHash, "ascii");
-  const idx = buf.indexOf(oldBuf);
+  const resource = readIntegrityResource(exePath);
+  if (!resource.found) return { success: false, error: resource.error };
+
+  const index = findEntryIndex(resource.entries, file);
+  if (index === -1) {
+    return { success: false, error: `Integrity resource has no entry for ${file}` };
+  }
 
-  if (idx === -1) {
+  if (resource.entries[index].value !== oldHash) {
     return {
       success: false,
       error:
-        "Could not find old hash in exe.\n" +
+        `The hash for ${file} in claude.exe is not the expected one.\n` +
         "  The exe may have been modified by another tool or updated.",
     };
   }
 
-  // Verify it only appears once (safety check)
-  const secondIdx = buf.indexOf(oldBuf, idx + 64);
-  if (secondIdx !== -1) {
+  // Double-check the edited resource still decodes to what we expect
+  const updated = Buffer.from(resource.raw);
+  updated.write(newHash, resource.positions[index] - resource.offset, "ascii");
+  const decoded = JSON.parse(updated.toString("utf-8").replace(/[\0\s]+$/, ""));
+  const othersUnchanged = decoded.every(
+    (e, i) => i === index || e.value === resource.entries[i].value
+  );
+  if (decoded[index].value !== newHash || !othersUnchanged) {
     return {
       success: false,
       error:
-        "Old hash appears multiple times in exe — unsafe to patch.\n" +
+        "Updating the integrity resource would corrupt it — aborting.\n" +
         "  This is unexpected. Please report this issue.",
     };
   }
 
-  // Replace
-  const newBuf = Buffer.from(newHash, "ascii");
-  newBuf.copy(buf, idx);
+  // Patch a sibling copy: write the 64 hash bytes at their known offset, refresh
+  // the PE CheckSum it invalidated, then swap the copy in atomically. Copying
+  // the whole exe (by the OS, not through memory) is the price of that: written
+  // in place, a crash between the hash and the CheckSum would leave claude.exe
+  // half-updated.
+  let checksum;
+  try {
+    replaceFileAtomic(exePath, (tempPath) => {
+      fs.copyFileSync(exePath, tempPath);
+      const fd = fs.openSync(tempPath, "r+");
+      try {
+        fs.writeSync(fd, Buffer.from(newHash, "ascii"), 0, 64, resource.positions[index]);
+        checksum = updatePeChecksum(fd);
+      } finally {
+        fs.closeSync(fd);
+      }
+    });
+  } catch (err) {
+    return {
+      success: false,
+      error: `Failed to update claude.exe: ${err.message}\n  claude.exe was not modified.`,
+    };
+  }
+  return { success: true, checksum };
+}
 
-  fs.writeFileSync(exePath, buf);
-  return { success: true };
+/**
+ * Read the ASAR integrity hash from the file that carries it, in either
+ * format an install can use: "pe" (the resource in claude.exe) or "plist"
+ * (ElectronAsarIntegrity in a macOS Info.plist). key is the archive's entry
+ * name in that file.
+ *
+ * Returns { found, hash?, error? }
+ */
+function readIntegrityHash(format, filePath, key) {
+  if (format === "pe") return readEmbeddedHash(filePath, key);
+  if (format === "plist") return readPlistHash(filePath, key);
+  return { found: false, error: "This Claude build does not embed an ASAR integrity hash." };
+}
+
+/**
+ * Read the integrity hash of an install found by the finder.
+ */
+function readInstallHash(install) {
+  return readIntegrityHash(install.hashFormat, install.hashPath, install.hashKey);
+}
+
+/**
+ * Replace the integrity hash of an install found by the finder.
+ * Returns { success, checksum?, error? }
+ */
+function writeInstallHash(install, oldHash, newHash) {
+  if (install.hashFormat === "pe") {
+    return patchExeHash(install.hashPath, oldHash, newHash, install.hashKey);
+  }
+  if (install.hashFormat === "plist") {
+    return patchPlistHash(install.hashPath, oldHash, newHash, install.hashKey);
+  }
+  return { success: false, error: "This Claude build does not embed an ASAR integrity hash." };
 }
 
-module.exports = { computeAsarHeaderHash, readEmbeddedHash, patchExeHash };
+module.exports = {
+  computeAsarHeaderHash,
+  hashAsarHeaderString,
+  readIntegrityResource,
+  readEmbeddedHash,
+  patchExeHash,
+  readIntegrityHash,
+  readInstallHash,
+  writeInstallHash,
+  ASAR_INTEGRITY_FILE,
+};
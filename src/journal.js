@@ -0,0 +1,74 @@
+const fs = require("fs");
+const path = require("path");
+const { writeFileAtomic } = require("./atomic");
+
+/**
+ * Patch journal — records which steps of a patch have completed, so a run that
+ * was killed halfway (power loss, Ctrl+C, closed terminal) can be finished or
+ * rolled back the next time the tool runs.
+ *
+ * The journal exists only while a patch is in flight. Handled failures roll
+ * back and remove it; only a crash leaves it behind.
+ */
+
+const JOURNAL_FILE = ".rtl-journal.json";
+
+function getJournalPath(install) {
+  return path.join(install.resourcesDir, JOURNAL_FILE);
+}
+
+function saveJournal(install, journal) {
+  writeFileAtomic(getJournalPath(install), JSON.stringify(journal, null, 2));
+}
+
+/**
+ * Start a new journal for a patch of this install.
+ * details holds what recovery needs later (original hash, whether the exe hash is enforced).
+ */
+function startJournal(install, details) {
+  const journal = {
+    tool: "claude-rtl-fixer",
+    version: require("../package.json").version,
+    operation: "patch",
+    claudeVersion: install.version,
+    startedAt: new Date().toISOString(),
+    ...details,
+    completed: [],
+  };
+  saveJournal(install, journal);
+  return journal;
+}
+
+/**
+ * Mark a step as completed ("backup", "repack-started", "repack", "hash" and
+ * "marker", in that order), merging in anything recovery will need (e.g. the
+ * backup id). "repack-started" is recorded before app.asar is replaced,
+ * "repack" once the new one has been read back.
+ */
+function recordStep(install, journal, step, details = {}) {
+  Object.assign(journal, details);
+  journal.completed.push(step);
+  journal.updatedAt = new Date().toISOString();
+  saveJournal(install, journal);
+}
+
+/**
+ * Read an unfinished journal. Returns null if there is none.
+ */
+function readJournal(install) {
+  const journalPath = getJournalPath(install);
+  if (!fs.existsSync(journalPath)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(journalPath, "utf-8"));
+  } catch {
+    // Unreadable journal: treat as a patch with no known progress
+    return { operation: "patch", claudeVersion: install.version, completed: [], corrupt: true };
+  }
+}
+
+function clearJournal(install) {
+  const journalPath = getJournalPath(install);
+  if (fs.existsSync(journalPath)) fs.unlinkSync(journalPath);
+}
+
+module.exports = { startJournal, recordStep, readJournal, clearJournal };
@@ -0,0 +1,284 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { readAsarFile } = require("./archive");
+const { readPlistString } = require("./plist");
+const { ASAR_INTEGRITY_FILE } = require("./integrity");
+
+/**
+ * Install layouts — how each kind of Claude Desktop install is laid out on disk.
+ *
+ * A layout has:
+ *   name              "squirrel", "macos" or "linux"
+ *   expected          what the layout looks for, for error messages
+ *   defaultRoots()    where the official installer puts it
+ *   matches(root)     whether a folder looks like this kind of install
+ *   listInstalls(root) every version under root, newest first
+ *
+ * listInstalls returns install objects:
+ *   { found, version, layout, root, appDir, resourcesDir, asarPath, exePath,
+ *     fusesPath, hashPath, hashFormat, hashKey, allVersions }
+ * hashPath is the file embedding the ASAR integrity hash (claude.exe or
+ * Info.plist) in hashFormat ("pe" or "plist") under the entry hashKey, or
+ * null when the build doesn't check it. Incomplete installs come back as
+ * { found: false, version, error }.
+ */
+
+/**
+ * Check the files an install needs exist. Returns null or a { found: false } result.
+ */
+function checkMissing(label, version, files) {
+  const missing = Object.entries(files)
+    .filter(([, filePath]) => filePath && !fs.existsSync(filePath))
+    .map(([name, filePath]) => `${name}: ${filePath}`);
+  if (missing.length === 0) return null;
+  return {
+    found: false,
+    version,
+    error:
+      `Claude Desktop ${label} is incomplete — missing files:\n` +
+      missing.map((m) => `  - ${m}`).join("\n"),
+  };
+}
+
+/**
+ * Windows: Squirrel installs each version into its own app-X.Y.Z folder under
+ * %LOCALAPPDATA%\AnthropicClaude, with the hash in claude.exe's resources.
+ */
+const squirrel = {
+  name: "squirrel",
+  expected: "directories like app-1.1.2321",
+
+  defaultRoots() {
+    const localAppData =
+      process.env.LOCALAPPDATA ||
+      path.join(process.env.USERPROFILE || "", "AppData", "Local");
+    return [path.join(localAppData, "AnthropicClaude")];
+  },
+
+  matches(root) {
+    return listAppDirs(root).length > 0;
+  },
+
+  listInstalls(root) {
+    const appDirs = listAppDirs(root);
+    const allVersions = appDirs.map((d) => d.name.replace("app-", ""));
+    return appDirs.map((appDir) => {
+      const resourcesDir = path.join(appDir.fullPath, "resources");
+      const asarPath = path.join(resourcesDir, "app.asar");
+      const exePath = path.join(appDir.fullPath, "claude.exe");
+      const version = appDir.name.replace("app-", "");
+
+      const missing = checkMissing(appDir.name, version, { "app.asar": asarPath, "claude.exe": exePath });
+      if (missing) return missing;
+
+      return {
+        found: true,
+        version,
+        layout: "squirrel",
+        root,
+        appDir: appDir.fullPath,
+        resourcesDir,
+        asarPath,
+        exePath,
+        fusesPath: exePath,
+        hashPath: exePath,
+        hashFormat: "pe",
+        hashKey: ASAR_INTEGRITY_FILE,
+        allVersions,
+      };
+    });
+  },
+};
+
+/**
+ * List the app-* version directories under a Squirrel root, newest first.
+ */
+function listAppDirs(root) {
+  let entries;
+  try {
+    entries = fs.readdirSync(root, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+  return entries
+    .filter((e) => e.isDirectory() && /^app-\d+\.\d+\.\d+$/.test(e.name))
+    .map((e) => ({
+      name: e.name,
+      version: e.name
+        .replace("app-", "")
+        .split(".")
+        .map(Number),
+      fullPath: path.join(root, e.name),
+    }))
+    .sort((a, b) => {
+      // Sort by version descending (major, minor, patch)
+      for (let i = 0; i < 3; i++) {
+        if (a.version[i] !== b.version[i]) return b.version[i] - a.version[i];
+      }
+      return 0;
+    });
+}
+
+/**
+ * macOS: a single Claude.app bundle. The hash lives in Contents/Info.plist
+ * and the fuses in the Electron Framework binary.
+ */
+const macos = {
+  name: "macos",
+  expected: "Claude.app/Contents/Resources/app.asar",
+
+  defaultRoots() {
+    return [
+      "/Applications/Claude.app",
+      path.join(os.homedir(), "Applications", "Claude.app"),
+    ];
+  },
+
+  matches(root) {
+    return findBundle(root) !== null;
+  },
+
+  listInstalls(root) {
+    const bundle = findBundle(root);
+    if (!bundle) return [];
+    const contents = path.join(bundle, "Contents");
+    const resourcesDir = path.join(contents, "Resources");
+    const asarPath = path.join(resourcesDir, "app.asar");
+    const plistPath = path.join(contents, "Info.plist");
+
+    let version;
+    let executable;
+    try {
+      version = readPlistString(plistPath, "CFBundleShortVersionString");
+      executable = readPlistString(plistPath, "CFBundleExecutable");
+    } catch (err) {
+      return [{ found: false, version: "unknown", error: `Could not read ${plistPath}: ${err.message}` }];
+    }
+    if (!version) {
+      return [{ found: false, version: "unknown", error: `No CFBundleShortVersionString in ${plistPath}` }];
+    }
+    const exePath = path.join(contents, "MacOS", executable || "Claude");
+    const fusesPath = path.join(
+      contents,
+      "Frameworks",
+      "Electron Framework.framework",
+      "Electron Framework"
+    );
+
+    const missing = checkMissing(path.basename(bundle), version, {
+      "app.asar": asarPath,
+      [path.basename(exePath)]: exePath,
+    });
+    if (missing) return [missing];
+
+    return [
+      {
+        found: true,
+        version,
+        layout: "macos",
+        root,
+        appDir: bundle,
+        resourcesDir,
+        asarPath,
+        exePath,
+        fusesPath: fs.existsSync(fusesPath) ? fusesPath : null,
+        hashPath: plistPath,
+        hashFormat: "plist",
+        hashKey: "Resources/app.asar",
+        allVersions: [version],
+      },
+    ];
+  },
+};
+
+/**
+ * The .app bundle at root, or a Claude.app inside it.
+ */
+function findBundle(root) {
+  const candidates = root.endsWith(".app") ? [root] : [path.join(root, "Claude.app")];
+  return (
+    candidates.find((bundle) => fs.existsSync(path.join(bundle, "Contents", "Info.plist"))) || null
+  );
+}
+
+/**
+ * Linux: community builds repackage the Windows app.asar next to an Electron
+ * binary. Electron doesn't check ASAR integrity on Linux, so there is no hash.
+ * The generic Electron names only help find the binary: isClaudeRunning
+ * (patcher.js) matches processes by the install's path, not by these names.
+ */
+const LINUX_BINARIES = ["claude-desktop", "claude", "Claude", "electron", "node_modules/electron/dist/electron"];
+
+const linux = {
+  name: "linux",
+  expected: "resources/app.asar or app.asar",
+
+  defaultRoots() {
+    return ["/usr/lib/claude-desktop", "/usr/lib64/claude-desktop", "/opt/Claude", "/opt/claude-desktop"];
+  },
+
+  matches(root) {
+    return findLinuxAsar(root) !== null;
+  },
+
+  listInstalls(root) {
+    const asarPath = findLinuxAsar(root);
+    if (!asarPath) return [];
+
+    // The version is only recorded in the app's own package.json
+    let version;
+    try {
+      const pkg = readAsarFile(asarPath, "package.json");
+      version = pkg && JSON.parse(pkg.toString("utf-8")).version;
+    } catch (err) {
+      return [{ found: false, version: "unknown", error: `Could not read ${asarPath}: ${err.message}` }];
+    }
+    if (!version) {
+      return [{ found: false, version: "unknown", error: `No version in package.json inside ${asarPath}` }];
+    }
+
+    const exePath =
+      LINUX_BINARIES.map((name) => path.join(root, name)).find((p) => fs.existsSync(p)) || null;
+
+    return [
+      {
+        found: true,
+        version,
+        layout: "linux",
+        root,
+        appDir: root,
+        resourcesDir: path.dirname(asarPath),
+        asarPath,
+        exePath,
+        fusesPath: exePath,
+        hashPath: null,
+        hashFormat: null,
+        hashKey: null,
+        allVersions: [version],
+      },
+    ];
+  },
+};
+
+function findLinuxAsar(root) {
+  return (
+    [path.join(root, "resources", "app.asar"), path.join(root, "app.asar")].find((p) =>
+      fs.existsSync(p)
+    ) || null
+  );
+}
+
+/** In the order they are tried against a custom install folder */
+const LAYOUTS = [squirrel, macos, linux];
+
+/**
+ * The layout the official installer uses on this platform.
+ */
+function getPlatformLayout(platform = process.platform) {
+  if (platform === "darwin") return macos;
+  if (platform === "linux") return linux;
+  return squirrel;
+}
+
+module.exports = { LAYOUTS, getPlatformLayout };
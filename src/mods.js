@@ -0,0 +1,176 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { writeFileAtomic } = require("./atomic");
+const { getAppDataDir } = require("./backup");
+const { findPayload } = require("./rtl-payload");
+
+/**
+ * Other mainView.js mods.
+ *
+ * Theming and other tools patch mainView.js the same way this one does, by
+ * adding a block of code between comment markers. We find those blocks so the
+ * RTL fix is placed next to them instead of inside them, and so status can
+ * list them.
+ *
+ * A hash of the stock mainView.js is kept per Claude version in
+ *
+ *   %APPDATA%\claude-rtl-fixer\fingerprints.json
+ *
+ * so changes are noticed even when the tool that made them kept the integrity
+ * hashes consistent, or left no markers. A fingerprint is "verified" when it
+ * was taken from a file whose signed claude.exe still vouches for it.
+ */
+
+const FINGERPRINT_FILE = "fingerprints.json";
+
+/**
+ * Comment markers other mods put around their code. Each start pattern
+ * captures the mod's name; an end line closes the nearest open block whose
+ * name starts with the end line's name ("// === End Theme ===" closes
+ * "// === Theme — by someone ===").
+ */
+const BLOCK_MARKERS = [
+  {
+    // === Name ===  ...  // === End Name ===
+    start: /^[ \t]*\/\/[ \t]*={2,}[ \t]*(?!end\b)(\S.*?)[ \t]*={2,}[ \t]*$/gim,
+    end: /^[ \t]*\/\/[ \t]*={2,}[ \t]*end[ \t]+(\S.*?)[ \t]*={2,}[ \t]*$/gim,
+  },
+  {
+    // BEGIN Name  ...  // END Name   (also in /* */ comments, or START instead of BEGIN)
+    start: /^[ \t]*(?:\/\/|\/\*)[ \t]*(?:begin|start)[ \t:]+(\S.*?)[ \t]*(?:\*\/)?[ \t]*$/gim,
+    end: /^[ \t]*(?:\/\/|\/\*)[ \t]*end[ \t:]+(\S.*?)[ \t]*(?:\*\/)?[ \t]*$/gim,
+  },
+];
+
+function getFingerprintPath() {
+  return path.join(getAppDataDir(), "claude-rtl-fixer", FINGERPRINT_FILE);
+}
+
+function allMatches(pattern, content) {
+  pattern.lastIndex = 0;
+  return [...content.matchAll(pattern)];
+}
+
+/**
+ * Blocks other mods added to mainView.js, in file order, as
+ * [{ name, start, end, line }]: start is the offset of the start marker line,
+ * end the offset just past the end marker line, line the 1-based line number.
+ * The RTL fix block is skipped. Blocks nested in another block are not listed.
+ */
+function findForeignBlocks(content) {
+  const ours = findPayload(content);
+  const found = [];
+  for (const marker of BLOCK_MARKERS) {
+    const ends = allMatches(marker.end, content);
+    for (const start of allMatches(marker.start, content)) {
+      const name = start[1];
+      const end = ends.find(
+        (e) => e.index > start.index && name.toLowerCase().startsWith(e[1].toLowerCase())
+      );
+      if (!end) continue;
+      found.push({ name, start: start.index, end: end.index + end[0].length });
+    }
+  }
+
+  const blocks = [];
+  for (const block of found.sort((a, b) => a.start - b.start)) {
+    if (ours && block.start < ours.end && block.end > ours.start) continue;
+    if (blocks.some((outer) => block.start < outer.end)) continue;
+    blocks.push({ ...block, line: content.slice(0, block.start).split("\n").length });
+  }
+  return blocks;
+}
+
+/**
+ * Size and hashes of a mainView.js: sha256 of the exact text, and
+ * "normalized", the sha256 with all whitespace removed, which survives the
+ * blank lines a removed block leaves behind.
+ */
+function fingerprintMainView(content) {
+  const sha256 = (text) => crypto.createHash("sha256").update(text).digest("hex");
+  return {
+    size: Buffer.byteLength(content, "utf-8"),
+    sha256: sha256(content),
+    normalized: sha256(content.replace(/\s+/g, "")),
+  };
+}
+
+function readFingerprints() {
+  try {
+    return JSON.parse(fs.readFileSync(getFingerprintPath(), "utf-8"));
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * The recorded fingerprint of the stock mainView.js of a Claude version, or null.
+ */
+function getStockFingerprint(claudeVersion) {
+  return readFingerprints()[claudeVersion] || null;
+}
+
+/**
+ * Record content (mainView.js without the RTL fix) as the stock file of a
+ * Claude version. An unverified file is only taken when nothing is recorded
+ * yet and it has no foreign blocks; a verified one replaces an unverified
+ * record. Returns the fingerprint now on record (null if there is none).
+ */
+function recordStockFingerprint(claudeVersion, content, verified) {
+  const fingerprints = readFingerprints();
+  const existing = fingerprints[claudeVersion];
+  if (existing && (existing.verified || !verified)) return existing;
+  if (!existing && !verified && findForeignBlocks(content).length > 0) return null;
+
+  fingerprints[claudeVersion] = {
+    ...fingerprintMainView(content),
+    verified,
+    recordedAt: new Date().toISOString(),
+  };
+  try {
+    fs.mkdirSync(path.dirname(getFingerprintPath()), { recursive: true });
+    writeFileAtomic(getFingerprintPath(), JSON.stringify(fingerprints, null, 2));
+  } catch (_) {
+    // Only status output depends on it
+  }
+  return fingerprints[claudeVersion];
+}
+
+/**
+ * What other mods did to a mainView.js (with or without the RTL fix).
+ * Returns { stock, mods, unidentified }:
+ *   stock         "stock" (matches the fingerprint), "modified" or "unknown" (none recorded)
+ *   mods          [{ name, line }] foreign blocks
+ *   unidentified  true when there are changes outside those blocks
+ */
+function inspectMainView(content, fingerprint) {
+  const ours = findPayload(content);
+  const rest = ours ? content.slice(0, ours.start) + content.slice(ours.end) : content;
+  const blocks = findForeignBlocks(rest);
+  const mods = findForeignBlocks(content).map(({ name, line }) => ({ name, line }));
+
+  if (!fingerprint) return { stock: "unknown", mods, unidentified: false };
+  if (fingerprintMainView(rest).normalized === fingerprint.normalized) {
+    return { stock: "stock", mods, unidentified: false };
+  }
+
+  let unmodded = rest;
+  for (const block of [...blocks].reverse()) {
+    unmodded = unmodded.slice(0, block.start) + unmodded.slice(block.end);
+  }
+  return {
+    stock: "modified",
+    mods,
+    unidentified: fingerprintMainView(unmodded).normalized !== fingerprint.normalized,
+  };
+}
+
+module.exports = {
+  findForeignBlocks,
+  fingerprintMainView,
+  getStockFingerprint,
+  recordStockFingerprint,
+  inspectMainView,
+  getFingerprintPath,
+};
@@ -1,30 +1,126 @@
 const fs = require("fs");
 const path = require("path");
-const os = require("os");
-const asar = require("@electron/asar");
-const { findClaudeInstall } = require("./finder");
-const { getRtlPayload, isPatched: isCodePatched } = require("./rtl-payload");
-const { computeAsarHeaderHash, readEmbeddedHash, patchExeHash } = require("./integrity");
-const { createBackup, restoreBackup, writeMarker, isPatchedOnDisk, hasBackups } = require("./backup");
+const { findClaudeInstall, findAllClaudeInstalls } = require("./finder");
+const { getRtlPayload, findPayload, readPayloadInfo, isPatched: isCodePatched } = require("./rtl-payload");
+const { readAsarFile, replaceAsarFile, previewAsarReplacement } = require("./archive");
+const { replaceFileAtomic } = require("./atomic");
+const {
+  computeAsarHeaderHash,
+  hashAsarHeaderString,
+  readInstallHash,
+  writeInstallHash,
+} = require("./integrity");
+const { readPeHeaders } = require("./pe");
+const { unifiedDiff } = require("./diff");
+const { ErrorCodes } = require("./errors");
+const { createReporter } = require("./progress");
+const { findForeignBlocks, getStockFingerprint, recordStockFingerprint, inspectMainView } = require("./mods");
+const { loadConfig, getActiveFeatures, FEATURES } = require("./config");
+const { readFuses, isAsarIntegrityEnforced } = require("./fuses");
+const { readAuthenticode } = require("./authenticode");
+const { startJournal, recordStep, readJournal, clearJournal } = require("./journal");
+const {
+  createBackup,
+  restoreBackup,
+  verifyBackup,
+  verifyLegacyBackup,
+  listBackups,
+  findBackup,
+  pruneBackups,
+  hasLegacyBackups,
+  getBackupStoreDir,
+  writeMarker,
+  isPatchedOnDisk,
+  hasBackups,
+} = require("./backup");
 
 const MAIN_VIEW_PATH = ".vite/build/mainView.js";
+const SOURCE_MAP_COMMENT = "//# sourceMappingURL=mainView.js.map";
+
+/** Process name to look for when the install's binary isn't known */
+const DEFAULT_PROCESS_NAMES = { win32: "claude.exe", darwin: "Claude", linux: "claude-desktop" };
+
+/** Generic Electron binaries a Linux build may be launched with */
+const ELECTRON_NAMES = ["electron"];
+
+/**
+ * Linux: whether a process runs this install — its binary lies inside the
+ * install folder, or it is a generic Electron binary given the install's
+ * app.asar or folder. Matching "electron" by name alone would take any
+ * Electron app (VS Code, Slack, ...) for Claude. Returns null without /proc.
+ */
+function isRunningFromInstall(install) {
+  const real = (p) => {
+    try {
+      return fs.realpathSync(p);
+    } catch {
+      return path.resolve(p);
+    }
+  };
+  const appDir = real(install.appDir);
+  const targets = [install.appDir, install.resourcesDir, install.asarPath].filter(Boolean).map(real);
+
+  let pids;
+  try {
+    pids = fs.readdirSync("/proc").filter((name) => /^\d+$/.test(name));
+  } catch {
+    return null;
+  }
+  return pids.some((pid) => {
+    try {
+      const exe = fs.readlinkSync(`/proc/${pid}/exe`);
+      if (exe.startsWith(appDir + path.sep)) return true;
+      if (!ELECTRON_NAMES.includes(path.basename(exe))) return false;
+      const cwd = fs.readlinkSync(`/proc/${pid}/cwd`);
+      const args = fs.readFileSync(`/proc/${pid}/cmdline`, "utf-8").split("\0").slice(1).filter(Boolean);
+      return args.some((arg) => !arg.startsWith("-") && targets.includes(real(path.resolve(cwd, arg))));
+    } catch {
+      // Gone already, or another user's process we can't inspect
+      return false;
+    }
+  });
+}
 
 /**
  * Check if Claude Desktop is currently running.
+ * install (optional) tells which binary to look for.
  */
-function isClaudeRunning() {
+function isClaudeRunning(install) {
+  if (process.platform === "linux" && install && install.appDir) {
+    const running = isRunningFromInstall(install);
+    if (running !== null) return running;
+  }
+  const exeName =
+    install && install.exePath
+      ? path.basename(install.exePath)
+      : DEFAULT_PROCESS_NAMES[process.platform] || "claude";
   try {
     const { execSync } = require("child_process");
-    const output = execSync('tasklist /FI "IMAGENAME eq claude.exe" /NH', {
+    if (process.platform === "win32") {
+      const output = execSync(`tasklist /FI "IMAGENAME eq ${exeName}" /NH`, {
+        encoding: "utf-8",
+        stdio: ["pipe", "pipe", "pipe"],
+      });
+      return output.toLowerCase().includes(exeName.toLowerCase());
+    }
+    // ps prints the full path on macOS and the bare name on Linux
+    const output = execSync("ps -A -o comm=", {
       encoding: "utf-8",
       stdio: ["pipe", "pipe", "pipe"],
     });
-    return output.toLowerCase().includes("claude.exe");
+    return output.split("\n").some((line) => path.basename(line.trim()) === exeName);
   } catch {
     return false;
   }
 }
 
+/**
+ * File name of the install's hash file, for messages ("claude.exe", "Info.plist").
+ */
+function hashFileName(install) {
+  return install.hashPath ? path.basename(install.hashPath) : "app.asar";
+}
+
 /**
  * Verify we can write to a file (not locked by another process).
  */
@@ -41,26 +137,74 @@ function canWrite(filePath) {
   }
 }
 
-function cleanup(tempDir) {
+/**
+ * Check whether mainView.js inside app.asar contains the RTL fix.
+ * Reads only that file's bytes from the archive — no extraction.
+ */
+function isMainViewPatched(install) {
   try {
-    fs.rmSync(tempDir, { recursive: true, force: true });
+    const content = readAsarFile(install.asarPath, MAIN_VIEW_PATH);
+    return content ? isCodePatched(content.toString("utf-8")) : false;
   } catch {
-    // Best effort
+    // Can't check
+    return false;
   }
 }
 
+/**
+ * Insert the RTL payload (built from a resolved config) into mainView.js: just
+ * before the source map comment, or at the end if there is none. Blocks of
+ * other mods are never split: if one of them holds the source map comment,
+ * the payload goes right after that block.
+ * Returns { content, position: "before-source-map" | "after-mod" | "end", payloadHash }
+ */
+function injectPayload(content, config) {
+  const payload = getRtlPayload(config);
+  const { hash: payloadHash } = readPayloadInfo(payload);
+  const at = content.lastIndexOf(SOURCE_MAP_COMMENT);
+  if (at === -1) return { content: content + payload, position: "end", payloadHash };
+
+  const around = findForeignBlocks(content).find((block) => block.start < at && at < block.end);
+  if (around) {
+    return {
+      content: content.slice(0, around.end) + payload + content.slice(around.end),
+      position: "after-mod",
+      payloadHash,
+    };
+  }
+  return {
+    content: content.slice(0, at) + payload + "\n" + content.slice(at),
+    position: "before-source-map",
+    payloadHash,
+  };
+}
+
+/**
+ * Undo injectPayload: mainView.js without the RTL fix block (of any version of
+ * this tool). Returns null if there is no block.
+ */
+function removePayload(content) {
+  const block = findPayload(content);
+  if (!block) return null;
+  let after = content.slice(block.end);
+  // injectPayload put a newline between the block and the source map comment
+  if (after.startsWith("\n" + SOURCE_MAP_COMMENT)) after = after.slice(1);
+  return content.slice(0, block.start) + after;
+}
+
 /**
  * Run all pre-patch safety checks. Returns { ok, install?, error? }
  */
-function preflight(requireUnpatched) {
-  const install = findClaudeInstall();
+function preflight(requireUnpatched, options = {}) {
+  const install = findClaudeInstall(options);
   if (!install.found) {
-    return { ok: false, error: install.error };
+    return { ok: false, code: install.code, error: install.error };
   }
 
-  if (isClaudeRunning()) {
+  if (isClaudeRunning(install)) {
     return {
       ok: false,
+      code: ErrorCodes.RUNNING,
       error:
         "Claude Desktop is currently running.\n" +
         "  Please close Claude Desktop completely (check the system tray too!) and try again.",
@@ -70,6 +214,7 @@ function preflight(requireUnpatched) {
   if (!canWrite(install.asarPath)) {
     return {
       ok: false,
+      code: ErrorCodes.LOCKED,
       error:
         `Cannot write to ${install.asarPath}\n` +
         "  The file may be locked. Close Claude Desktop and try again.\n" +
@@ -77,21 +222,35 @@ function preflight(requireUnpatched) {
     };
   }
 
-  if (!canWrite(install.exePath)) {
+  if (install.hashPath && !canWrite(install.hashPath)) {
     return {
       ok: false,
+      code: ErrorCodes.LOCKED,
       error:
-        `Cannot write to ${install.exePath}\n` +
+        `Cannot write to ${install.hashPath}\n` +
         "  The file may be locked. Close Claude Desktop and try again.\n" +
         "  You may also need to run this as Administrator.",
     };
   }
 
+  const journal = readJournal(install);
+  if (journal) {
+    return {
+      ok: false,
+      code: ErrorCodes.INTERRUPTED,
+      error:
+        "An earlier patch did not finish.\n" +
+        `  Started: ${journal.startedAt || "unknown"}\n` +
+        '  Run "recover --finish" or "recover --rollback" first.',
+    };
+  }
+
   if (requireUnpatched) {
     const patchStatus = isPatchedOnDisk(install);
     if (patchStatus.patched) {
       return {
         ok: false,
+        code: ErrorCodes.ALREADY_PATCHED,
         error:
           "Claude Desktop is already patched with RTL fix.\n" +
           `  Patched on: ${patchStatus.info?.patchedAt || "unknown"}\n` +
@@ -105,64 +264,161 @@ function preflight(requireUnpatched) {
 
 /**
  * Apply the RTL fix to Claude Desktop.
+ * options.version picks an installed version ("X.Y.Z"); default is the newest.
+ * options.onEvent receives progress events (see progress.js).
+ * options.configPath picks the config file (default: ~/.claude-rtl.json), and
+ * options.features ({ name: true|false }) turns payload features on or off.
+ * options.dryRun runs every check and returns what would change (see
+ * previewPatch) without touching the install.
  */
-async function patch() {
+async function patch(options = {}) {
+  const report = createReporter(options.onEvent);
   // Step 1–2: Find Claude + safety checks
-  console.log("  Finding Claude Desktop installation...");
-  const check = preflight(true);
-  if (!check.ok) return { success: false, error: check.error };
+  report.start("find", "Finding Claude Desktop installation...");
+  const check = preflight(true, options);
+  if (!check.ok) return { success: false, code: check.code, error: check.error };
   const install = check.install;
-  console.log(`  Found Claude Desktop v${install.version}`);
+  report.finish("find", `Found Claude Desktop v${install.version}`);
+
+  const config = loadPayloadConfig(options, report);
+  if (!config.success) return config;
+
+  // Step 3: Check whether this build validates the ASAR header hash, and read
+  // the original hash BEFORE any changes
+  const integrity = checkIntegrity(install, report);
+  if (!integrity.success) return integrity;
+  const { integrityEnforced, oldHash, hashOffset } = integrity;
+
+  // Step 4: Read mainView.js straight from the archive. This happens before any
+  // backup is made, so an already-patched file is never backed up as the original.
+  const mainView = readMainView(install, report);
+  if (!mainView.success) return mainView;
+  const original = mainView.content;
+
+  if (isCodePatched(original.toString("utf-8"))) {
+    return {
+      success: false,
+      code: ErrorCodes.ALREADY_PATCHED,
+      error:
+        "mainView.js already contains RTL fix code, but no marker file was found.\n" +
+        "  Something is inconsistent. Try reinstalling Claude Desktop.",
+    };
+  }
+
+  const mods = checkMods(install, original.toString("utf-8"), { integrityEnforced, dryRun: options.dryRun }, report);
+
+  if (options.dryRun) {
+    return {
+      ...previewPatch(install, original, config, { integrityEnforced, oldHash, hashOffset }),
+      mods: mods.mods,
+    };
+  }
+
+  // Record the transaction so an interrupted run can be finished or rolled back.
+  // Failures inside applyPatch are rolled back there; only a crash leaves the journal.
+  const journal = startJournal(install, {
+    integrityEnforced,
+    oldHash,
+    config: { hash: config.hash, path: config.path, features: getActiveFeatures(config.config) },
+    mods: mods.mods.map((m) => m.name),
+  });
+  const result = applyPatch(install, journal, original, config, report);
+  endJournal(install, result);
+  return result;
+}
+
+/**
+ * Load the payload config (see config.js) and report what it changes.
+ * Returns the loadConfig() result.
+ */
+function loadPayloadConfig(options, report) {
+  const config = loadConfig(options);
+  if (!config.success) return config;
+  if (config.path) report.info(`Using config ${config.path}`);
+  const features = getActiveFeatures(config.config);
+  if (features.length < FEATURES.length) report.info(`Features: ${features.join(", ") || "none"}`);
+  return config;
+}
+
+/**
+ * options, with the features the marker records as the default: without
+ * --features / --no-<feature>, update and status keep the features the
+ * install was patched with instead of turning switched-off ones back on.
+ */
+function withPatchedFeatures(options, marker) {
+  if (options.features || !marker || !marker.config || !Array.isArray(marker.config.features)) {
+    return options;
+  }
+  const features = {};
+  for (const name of FEATURES) features[name] = marker.config.features.includes(name);
+  return { ...options, features };
+}
+
+/**
+ * Check whether this build validates the ASAR header hash (builds without a
+ * hash file, like Linux, never do), and if so that the embedded hash matches
+ * app.asar as it is now — anything else means another tool changed the files.
+ *
+ * Returns { success, integrityEnforced, oldHash, hashOffset } or a failed result.
+ */
+function checkIntegrity(install, report) {
+  const hashName = hashFileName(install);
+  let integrityEnforced = false;
+  if (!install.hashPath) {
+    report.info("This build does not check ASAR integrity — only app.asar will be modified");
+  } else {
+    const fuses = install.fusesPath
+      ? readFuses(install.fusesPath)
+      : { found: false, error: "No Electron binary found" };
+    integrityEnforced = isAsarIntegrityEnforced(fuses);
+    if (!fuses.found) {
+      report.warn("No Electron fuses found — assuming ASAR integrity validation is on");
+    } else if (!integrityEnforced) {
+      report.info(`ASAR integrity validation is off in this build — ${hashName} will not be modified`);
+    }
+  }
+
+  if (!integrityEnforced) {
+    return { success: true, integrityEnforced, oldHash: computeAsarHeaderHash(install.asarPath), hashOffset: null };
+  }
 
-  // Step 3: Read original hash from exe BEFORE any changes
-  console.log("  Reading integrity hash from claude.exe...");
-  const hashResult = readEmbeddedHash(install.exePath);
+  report.start("read-hash", `Reading integrity hash from ${hashName}...`);
+  const hashResult = readInstallHash(install);
   if (!hashResult.found) {
     return { success: false, error: hashResult.error };
   }
   const oldHash = hashResult.hash;
-  console.log(`  Original hash: ${oldHash.substring(0, 16)}...`);
+  report.finish("read-hash", `Original hash: ${oldHash.substring(0, 16)}...`);
 
   // Verify hash matches current asar (detect other modifications)
   const currentAsarHash = computeAsarHeaderHash(install.asarPath);
   if (currentAsarHash !== oldHash) {
     return {
       success: false,
+      code: ErrorCodes.INTEGRITY_MISMATCH,
       error:
-        "Integrity mismatch — the hash in claude.exe doesn't match app.asar.\n" +
-        `  EXE hash:  ${oldHash}\n` +
-        `  ASAR hash: ${currentAsarHash}\n` +
+        `Integrity mismatch — the hash in ${hashName} doesn't match app.asar.\n` +
+        `  Embedded hash: ${oldHash}\n` +
+        `  ASAR hash:     ${currentAsarHash}\n` +
         "  Claude Desktop may have been modified by another tool.\n" +
         "  Try reinstalling Claude Desktop to get a clean state.",
     };
   }
+  return { success: true, integrityEnforced, oldHash, hashOffset: hashResult.offset };
+}
 
-  // Step 4: Create backups
-  console.log("  Creating backups...");
-  const backupResult = createBackup(install);
-  if (!backupResult.success) {
-    return { success: false, error: backupResult.error };
-  }
-  if (backupResult.skipped) {
-    console.log(`  ${backupResult.message}`);
-  } else {
-    console.log("  Backups created successfully");
-  }
-
-  // Step 5: Extract asar to temp directory
-  const tempDir = path.join(os.tmpdir(), `claude-rtl-fix-${Date.now()}`);
-  console.log("  Extracting app.asar...");
+/**
+ * Read mainView.js from app.asar. Returns { success, content } or a failed result.
+ */
+function readMainView(install, report) {
+  report.start("read-main-view", "Reading mainView.js from app.asar...");
+  let content;
   try {
-    asar.extractAll(install.asarPath, tempDir);
+    content = readAsarFile(install.asarPath, MAIN_VIEW_PATH);
   } catch (err) {
-    cleanup(tempDir);
-    return { success: false, error: `Failed to extract app.asar: ${err.message}` };
+    return { success: false, error: `Failed to read app.asar: ${err.message}` };
   }
-
-  // Step 6: Inject RTL code into mainView.js
-  const mainViewPath = path.join(tempDir, MAIN_VIEW_PATH);
-  if (!fs.existsSync(mainViewPath)) {
-    cleanup(tempDir);
+  if (!content) {
     return {
       success: false,
       error:
@@ -171,117 +427,406 @@ async function patch() {
         "  Claude Desktop may have changed its internal structure.",
     };
   }
+  report.finish("read-main-view");
+  return { success: true, content };
+}
 
-  console.log("  Injecting RTL fix...");
-  let content = fs.readFileSync(mainViewPath, "utf-8");
+/**
+ * Find the other mods in mainView.js (content, without the RTL fix) and
+ * report them. Unless dryRun, content is recorded as the stock file of this
+ * Claude version if none is recorded yet — or, whatever is recorded, when the
+ * signed claude.exe still vouches for app.asar.
+ * Returns inspectMainView()'s { stock, mods, unidentified }.
+ */
+function checkMods(install, content, { integrityEnforced, dryRun }, report) {
+  const signature = readSignature(install);
+  const verified = Boolean(integrityEnforced && signature && signature.signed && signature.intact);
+  const fingerprint = dryRun
+    ? getStockFingerprint(install.version)
+    : recordStockFingerprint(install.version, content, verified);
+  const found = inspectMainView(content, fingerprint);
 
-  if (isCodePatched(content)) {
-    cleanup(tempDir);
+  if (found.mods.length > 0) {
+    report.info(`Other mods in mainView.js: ${found.mods.map((m) => m.name).join(", ")} (kept as they are)`);
+  }
+  if (found.unidentified) {
+    report.warn(
+      `mainView.js differs from the stock file of Claude v${install.version} outside any known mod block ` +
+        "— another tool changed it"
+    );
+  }
+  return found;
+}
+
+/**
+ * The dry-run result of patch(): the mainView.js diff, the current and
+ * projected ASAR header hashes, and where the hash file would change.
+ */
+function previewPatch(install, original, config, { integrityEnforced, oldHash, hashOffset }) {
+  const originalText = original.toString("utf-8");
+  const injection = injectPayload(originalText, config.config);
+  const preview = previewAsarReplacement(
+    install.asarPath,
+    MAIN_VIEW_PATH,
+    Buffer.from(injection.content, "utf-8")
+  );
+  if (!preview.success) return { success: false, error: preview.error };
+
+  // The 64 hash characters, plus the PE CheckSum that patchExeHash refreshes
+  let hashChange = null;
+  if (integrityEnforced) {
+    hashChange = { file: install.hashPath, offset: hashOffset, length: 64, checksumOffset: null };
+    if (install.hashFormat === "pe") {
+      const fd = fs.openSync(install.hashPath, "r");
+      try {
+        hashChange.checksumOffset = readPeHeaders(fd).checksumOffset;
+      } finally {
+        fs.closeSync(fd);
+      }
+    }
+  }
+
+  return {
+    success: true,
+    dryRun: true,
+    version: install.version,
+    layout: install.layout,
+    injection: injection.position,
+    diff: unifiedDiff(originalText, injection.content, {
+      oldLabel: `a/${MAIN_VIEW_PATH}`,
+      newLabel: `b/${MAIN_VIEW_PATH}`,
+    }),
+    currentHash: oldHash,
+    projectedHash: hashAsarHeaderString(preview.headerString),
+    integrityEnforced,
+    hashChange,
+    configHash: config.hash,
+    configPath: config.path,
+    features: getActiveFeatures(config.config),
+  };
+}
+
+/**
+ * Remove the journal once applyPatch is done with the install — unless a
+ * rollback could not restore the original files (an INTERRUPTED result):
+ * then it is what "recover --rollback" needs to try again.
+ */
+function endJournal(install, result) {
+  if (result.code !== ErrorCodes.INTERRUPTED) clearJournal(install);
+}
+
+/**
+ * Steps 5–10 of patch() and updatePatch(): everything that modifies the
+ * install. original is mainView.js without the RTL fix.
+ */
+function applyPatch(install, journal, original, config, report) {
+  const { integrityEnforced, oldHash } = journal;
+
+  // Put the original files back after a failed step, and say whether that worked
+  const rollBack = (step, reason, error) => {
+    report.rollback(step, reason);
+    const restored = restoreBackup(install, journal.backupId);
+    if (restored.success) {
+      return { success: false, error: `${error}\n  Original files have been restored from backup.` };
+    }
     return {
       success: false,
+      code: ErrorCodes.INTERRUPTED,
       error:
-        "mainView.js already contains RTL fix code, but no marker file was found.\n" +
-        "  Something is inconsistent. Try reinstalling Claude Desktop.",
+        `${error}\n  Restoring the original files from backup failed too: ${restored.error}\n` +
+        '  Run "claude-rtl recover --rollback" to try again, or reinstall Claude Desktop.',
     };
-  }
+  };
 
-  const payload = getRtlPayload();
-  const sourceMapComment = "//# sourceMappingURL=mainView.js.map";
-  if (content.includes(sourceMapComment)) {
-    content = content.replace(sourceMapComment, payload + "\n" + sourceMapComment);
+  // Step 5: Create backups. An update keeps the backups of the stock files.
+  if (journal.operation === "update") {
+    recordStep(install, journal, "backup");
+    report.info(`Keeping the original backups${journal.backupId ? ` (${journal.backupId})` : ""}`);
   } else {
-    content += payload;
+    report.start("backup", "Creating backups...");
+    const backupResult = createBackup(install);
+    if (!backupResult.success) {
+      return { success: false, error: backupResult.error };
+    }
+    recordStep(install, journal, "backup", { backupId: backupResult.backup.id });
+    if (backupResult.message) {
+      report.info(backupResult.message);
+    }
+    report.finish("backup", backupResult.skipped ? undefined : "Backups created successfully");
   }
-  fs.writeFileSync(mainViewPath, content, "utf-8");
 
-  // Step 7: Repack asar
-  console.log("  Repacking app.asar...");
+  // Step 6: Inject RTL code into mainView.js
+  report.start("inject", "Injecting RTL fix...");
+  const { content, payloadHash } = injectPayload(original.toString("utf-8"), config.config);
+  report.finish("inject");
+
+  // Step 7: Rewrite app.asar, replacing only mainView.js.
+  // The new archive is built next to the original and renamed over it, so the
+  // live app.asar is never half-written.
+  report.start("repack", "Rewriting app.asar...");
+  // From here on app.asar may already be the new one, even if the run dies
+  // before "repack" is recorded — recover compares its header hash to oldHash
+  recordStep(install, journal, "repack-started", { payloadHash });
   try {
-    await asar.createPackage(tempDir, install.asarPath);
+    replaceFileAtomic(install.asarPath, (tempPath) => {
+      const rewrite = replaceAsarFile(install.asarPath, tempPath, MAIN_VIEW_PATH, Buffer.from(content, "utf-8"));
+      if (!rewrite.success) throw new Error(rewrite.error);
+    });
   } catch (err) {
-    cleanup(tempDir);
-    console.log("  Repack failed, restoring backups...");
-    restoreBackup(install);
     return {
       success: false,
-      error: `Failed to repack app.asar: ${err.message}\n  Original files have been restored from backup.`,
+      error: `${err.message}\n  app.asar was not modified.`,
     };
   }
 
-  // Verify the new asar exists and is non-empty
+  // Verify the rewritten asar contains the patched mainView.js
   try {
-    const stat = fs.statSync(install.asarPath);
-    if (stat.size < 1000) {
-      throw new Error("Repacked asar is suspiciously small");
+    const written = readAsarFile(install.asarPath, MAIN_VIEW_PATH);
+    if (!written || !isCodePatched(written.toString("utf-8"))) {
+      throw new Error("Rewritten asar does not contain the RTL fix");
     }
   } catch (err) {
-    cleanup(tempDir);
-    console.log("  Verification failed, restoring backups...");
-    restoreBackup(install);
+    // app.asar was replaced: if the rollback fails, recover has to restore it
+    recordStep(install, journal, "repack");
+    return rollBack("repack", "Verification failed", `Asar verification failed: ${err.message}`);
+  }
+  recordStep(install, journal, "repack");
+  report.finish("repack");
+
+  // Step 8: Compute new hash
+  const newHash = computeAsarHeaderHash(install.asarPath);
+
+  // Step 9: Store the new hash in claude.exe / Info.plist
+  if (integrityEnforced) {
+    report.start("hash", "Updating integrity hash...");
+    report.info(`New hash: ${newHash.substring(0, 16)}...`);
+    const patchResult = writeInstallHash(install, oldHash, newHash);
+    if (!patchResult.success) {
+      return rollBack("hash", "Hash patch failed", patchResult.error);
+    }
+    report.finish("hash", patchResult.checksum ? "Updated PE checksum" : undefined);
+  }
+  recordStep(install, journal, "hash");
+
+  // Step 10: Write marker
+  report.start("marker");
+  writeMarker(install, {
+    originalHash: journal.originalHash || oldHash,
+    patchedHash: newHash,
+    backupId: journal.backupId,
+    config: journal.config,
+    payloadHash: journal.payloadHash,
+    mods: journal.mods,
+    previousVersion: journal.previousVersion,
+  });
+  recordStep(install, journal, "marker");
+  report.finish("marker");
+
+  return {
+    success: true,
+    version: install.version,
+    layout: install.layout,
+    appDir: install.appDir,
+    oldHash,
+    newHash,
+    exeModified: integrityEnforced && install.hashFormat === "pe",
+    hashModified: integrityEnforced,
+    signature: readSignature(install),
+  };
+}
+
+/**
+ * Authenticode state of claude.exe; null for builds that aren't PE files.
+ */
+function readSignature(install) {
+  return install.hashFormat === "pe" ? readAuthenticode(install.exePath) : null;
+}
+
+/**
+ * Replace the RTL fix in a patched install with the payload this version of
+ * the tool builds — after upgrading claude-rtl-fixer, or changing the config.
+ * The block between the "// === Claude RTL Fixer" markers in mainView.js is
+ * swapped for the new one; the backups of the stock files are kept, so
+ * unpatch still restores them. Takes the same options as patch(); without
+ * options.features the features from the marker are kept.
+ */
+async function updatePatch(options = {}) {
+  const report = createReporter(options.onEvent);
+  report.start("find", "Finding Claude Desktop installation...");
+  const check = preflight(false, options);
+  if (!check.ok) return { success: false, code: check.code, error: check.error };
+  const install = check.install;
+  report.finish("find", `Found Claude Desktop v${install.version}`);
+
+  const patchStatus = isPatchedOnDisk(install);
+  if (!patchStatus.patched) {
     return {
       success: false,
-      error: `Asar verification failed: ${err.message}\n  Original files have been restored from backup.`,
+      code: ErrorCodes.NOT_PATCHED,
+      error: 'Claude Desktop is not patched — nothing to update. Run "patch" instead.',
     };
   }
+  const info = patchStatus.info || {};
 
-  // Step 8: Compute new hash
-  console.log("  Updating integrity hash...");
-  const newHash = computeAsarHeaderHash(install.asarPath);
-  console.log(`  New hash: ${newHash.substring(0, 16)}...`);
+  const config = loadPayloadConfig(withPatchedFeatures(options, patchStatus.info), report);
+  if (!config.success) return config;
 
-  // Step 9: Patch exe with new hash
-  const patchResult = patchExeHash(install.exePath, oldHash, newHash);
-  if (!patchResult.success) {
-    console.log("  Hash patch failed, restoring backups...");
-    restoreBackup(install);
-    cleanup(tempDir);
-    return { success: false, error: patchResult.error };
+  const integrity = checkIntegrity(install, report);
+  if (!integrity.success) return integrity;
+
+  const mainView = readMainView(install, report);
+  if (!mainView.success) return mainView;
+  const current = mainView.content.toString("utf-8");
+  const original = removePayload(current);
+  if (original === null) {
+    return {
+      success: false,
+      code: ErrorCodes.NOT_PATCHED,
+      error:
+        "The marker says Claude Desktop is patched, but mainView.js has no RTL fix block.\n" +
+        '  Run "unpatch" and then "patch".',
+    };
   }
 
-  // Step 10: Write marker and clean up
-  writeMarker(install, oldHash, newHash);
-  cleanup(tempDir);
+  checkMods(install, original, integrity, report);
+
+  const toolVersion = require("../package.json").version;
+  const previousVersion = info.version || null;
+  const features = getActiveFeatures(config.config);
+  const markerConfig = { hash: config.hash, path: config.path, features };
 
-  return { success: true, version: install.version, oldHash, newHash };
+  const injection = injectPayload(original, config.config);
+  if (injection.content === current) {
+    // Same payload: only bring the marker up to date
+    if (
+      previousVersion !== toolVersion ||
+      !info.config ||
+      info.config.hash !== config.hash ||
+      info.payloadHash !== injection.payloadHash
+    ) {
+      writeMarker(install, {
+        originalHash: info.hashes && info.hashes.original,
+        patchedHash: integrity.oldHash,
+        backupId: info.backupId,
+        config: markerConfig,
+        payloadHash: injection.payloadHash,
+        mods: info.mods,
+        previousVersion,
+      });
+    }
+    return {
+      success: true,
+      version: install.version,
+      unchanged: true,
+      message: "the installed RTL fix is already up to date",
+      previousVersion,
+      toolVersion,
+    };
+  }
+
+  const journal = startJournal(install, {
+    operation: "update",
+    integrityEnforced: integrity.integrityEnforced,
+    oldHash: integrity.oldHash,
+    originalHash: (info.hashes && info.hashes.original) || null,
+    backupId: info.backupId || null,
+    previousVersion,
+    config: markerConfig,
+    // The backups are kept, and with them the mods they hold
+    mods: info.mods || null,
+  });
+  const result = applyPatch(install, journal, original, config, report);
+  endJournal(install, result);
+  return result.success ? { ...result, previousVersion, toolVersion } : result;
+}
+
+/**
+ * Restoring the backup puts back mainView.js as it was before the RTL fix, so
+ * mods added after it are lost. Warn about those the marker doesn't list.
+ */
+function warnAboutLaterMods(install, report) {
+  const marker = isPatchedOnDisk(install).info;
+  if (!marker || !Array.isArray(marker.mods)) return;
+  let content;
+  try {
+    content = readAsarFile(install.asarPath, MAIN_VIEW_PATH);
+  } catch (_) {
+    return;
+  }
+  if (!content) return;
+
+  const later = findForeignBlocks(content.toString("utf-8"))
+    .map((block) => block.name)
+    .filter((name) => !marker.mods.includes(name));
+  if (later.length > 0) {
+    const them = later.length === 1 ? "it" : "them";
+    report.warn(
+      `Added to mainView.js after the RTL fix: ${later.join(", ")}. ` +
+        `Restoring the backup removes ${them} — re-apply ${them} afterwards.`
+    );
+  }
 }
 
 /**
  * Remove the RTL fix and restore original files.
+ * options.version picks an installed version (options.installDir the install
+ * folder, as for every function here). options.backupId picks a specific
+ * backup from the store; by default the one the marker points to (or the newest
+ * backup of this Claude version) is used.
  */
-function unpatch() {
-  console.log("  Finding Claude Desktop installation...");
-  const install = findClaudeInstall();
+function unpatch(options = {}) {
+  const report = createReporter(options.onEvent);
+  const { backupId } = options;
+  let version = options.version;
+  if (backupId && !version) {
+    // Restore into the Claude version the backup was made from
+    const backup = findBackup(backupId);
+    if (backup) version = backup.claudeVersion;
+  }
+
+  report.start("find", "Finding Claude Desktop installation...");
+  const install = findClaudeInstall({ ...options, version });
   if (!install.found) {
-    return { success: false, error: install.error };
+    return { success: false, code: install.code, error: install.error };
   }
-  console.log(`  Found Claude Desktop v${install.version}`);
+  report.finish("find", `Found Claude Desktop v${install.version}`);
 
-  if (isClaudeRunning()) {
+  if (isClaudeRunning(install)) {
     return {
       success: false,
+      code: ErrorCodes.RUNNING,
       error:
         "Claude Desktop is currently running.\n" +
         "  Please close Claude Desktop completely (check the system tray too!) and try again.",
     };
   }
 
-  if (!hasBackups(install)) {
-    const patchStatus = isPatchedOnDisk(install);
-    if (!patchStatus.patched) {
-      return { success: false, error: "Claude Desktop is not patched — nothing to unpatch." };
+  // Backups outlive the patch: without a backup id, only an install the
+  // marker or an interrupted patch's journal says is patched gets restored
+  if (!backupId) {
+    if (!isPatchedOnDisk(install).patched && !readJournal(install)) {
+      return {
+        success: false,
+        code: ErrorCodes.NOT_PATCHED,
+        error: "Claude Desktop is not patched — nothing to unpatch.",
+      };
+    }
+    if (!hasBackups(install)) {
+      return {
+        success: false,
+        code: ErrorCodes.NO_BACKUPS,
+        error:
+          "No backup files found — cannot restore.\n" +
+          "  The backup files may have been deleted.\n" +
+          "  To fix this, reinstall Claude Desktop.",
+      };
     }
-    return {
-      success: false,
-      error:
-        "No backup files found — cannot restore.\n" +
-        "  The backup files may have been deleted.\n" +
-        "  To fix this, reinstall Claude Desktop.",
-    };
   }
 
-  if (!canWrite(install.asarPath) || !canWrite(install.exePath)) {
+  if (!canWrite(install.asarPath) || (install.hashPath && !canWrite(install.hashPath))) {
     return {
       success: false,
+      code: ErrorCodes.LOCKED,
       error:
         "Cannot write to Claude Desktop files.\n" +
         "  Close Claude Desktop and try again.\n" +
@@ -289,54 +834,363 @@ function unpatch() {
     };
   }
 
-  console.log("  Restoring original files from backup...");
-  const result = restoreBackup(install);
+  warnAboutLaterMods(install, report);
+
+  report.start("restore", "Restoring original files from backup...");
+  const result = restoreBackup(install, backupId);
   if (!result.success) return result;
+  report.finish("restore", result.backupId ? `Restored from backup ${result.backupId}` : undefined);
+  // Restoring the originals also settles any interrupted patch
+  clearJournal(install);
+
+  return { success: true, version: install.version, backupId: result.backupId };
+}
+
+/**
+ * Return the journal of an interrupted patch in any installed version, or null
+ * if there is none. journal.claudeVersion says which version it belongs to.
+ */
+function findInterruptedPatch(options = {}) {
+  const all = findAllClaudeInstalls(options);
+  if (!all.found) return null;
+  for (const install of all.installs) {
+    if (!install.found) continue;
+    const journal = readJournal(install);
+    if (journal) return { ...journal, claudeVersion: install.version };
+  }
+  return null;
+}
+
+/**
+ * Finish or roll back a patch that was interrupted by a crash.
+ * mode is "finish" or "rollback"; options.version picks the installed version.
+ */
+async function recoverPatch(mode, options = {}) {
+  const report = createReporter(options.onEvent);
+  report.start("find", "Finding Claude Desktop installation...");
+  const install = findClaudeInstall(options);
+  if (!install.found) {
+    return { success: false, code: install.code, error: install.error };
+  }
+  report.finish("find", `Found Claude Desktop v${install.version}`);
+
+  const journal = readJournal(install);
+  if (!journal) {
+    return { success: false, error: "No interrupted patch found — nothing to recover." };
+  }
+
+  if (isClaudeRunning(install)) {
+    return {
+      success: false,
+      code: ErrorCodes.RUNNING,
+      error:
+        "Claude Desktop is currently running.\n" +
+        "  Please close Claude Desktop completely (check the system tray too!) and try again.",
+    };
+  }
+
+  const backedUp = journal.completed.includes("backup");
+  // An update only changes the install from the repack on; before that the old
+  // fix is still intact. A run that died while renaming the new app.asar into
+  // place shows by the archive's header hash no longer being the one it started with.
+  const updateStarted =
+    journal.operation !== "update" ||
+    journal.completed.includes("repack") ||
+    (journal.completed.includes("repack-started") && computeAsarHeaderHash(install.asarPath) !== journal.oldHash);
+
+  if (mode === "rollback") {
+    if (backedUp && updateStarted) {
+      report.start("restore", "Restoring original files from backup...");
+      const result = restoreBackup(install, journal.backupId);
+      if (!result.success) return result;
+      report.finish("restore");
+    } else {
+      // The crash happened before anything in the install was touched
+      report.info("The install was not modified yet — nothing to restore.");
+    }
+    clearJournal(install);
+    return { success: true, version: install.version, action: "rollback", restored: backedUp && updateStarted };
+  }
+
+  if (!updateStarted) {
+    report.info("app.asar was not replaced yet — running the update again...");
+    clearJournal(install);
+    const result = await updatePatch({ ...options, version: install.version });
+    return { ...result, action: "finish" };
+  }
+
+  // app.asar is swapped in atomically, so it either has the fix or is untouched.
+  // If it's untouched, simply run the whole patch again (existing backups are reused).
+  if (!backedUp || !isMainViewPatched(install)) {
+    report.info("app.asar was not replaced yet — running the patch again...");
+    clearJournal(install);
+    const result = await patch({ ...options, version: install.version });
+    return { ...result, action: "finish" };
+  }
+
+  const newHash = computeAsarHeaderHash(install.asarPath);
+  const integrityEnforced =
+    journal.integrityEnforced ??
+    Boolean(install.hashPath && isAsarIntegrityEnforced(readFuses(install.fusesPath)));
+
+  if (integrityEnforced) {
+    const current = readInstallHash(install);
+    if (!current.found) return { success: false, error: current.error };
 
-  return { success: true, version: install.version };
+    if (current.hash !== newHash) {
+      if (journal.oldHash && current.hash !== journal.oldHash) {
+        return {
+          success: false,
+          code: ErrorCodes.INTEGRITY_MISMATCH,
+          error:
+            `${hashFileName(install)} changed since the interrupted patch started.\n` +
+            '  Run "recover --rollback" to restore the original files.',
+        };
+      }
+      report.start("hash", "Updating integrity hash...");
+      const patchResult = writeInstallHash(install, current.hash, newHash);
+      if (!patchResult.success) return { success: false, error: patchResult.error };
+      report.finish("hash");
+    }
+  }
+
+  writeMarker(install, {
+    originalHash: journal.originalHash || journal.oldHash,
+    patchedHash: newHash,
+    backupId: journal.backupId,
+    config: journal.config,
+    payloadHash: journal.payloadHash,
+    mods: journal.mods,
+    previousVersion: journal.previousVersion,
+  });
+  clearJournal(install);
+  return { success: true, version: install.version, action: "finish", oldHash: journal.oldHash, newHash };
+}
+
+/**
+ * Check every stored backup (and legacy .bak files of the current install)
+ * against what was recorded when they were made.
+ */
+function verifyBackupFiles(options = {}) {
+  const backups = listBackups().map((backup) => ({
+    id: backup.id,
+    claudeVersion: backup.claudeVersion,
+    createdAt: backup.createdAt,
+    ...verifyBackup(backup),
+  }));
+
+  const legacy = [];
+  const all = findAllClaudeInstalls(options);
+  for (const install of all.found ? all.installs : []) {
+    if (install.found && hasLegacyBackups(install)) {
+      legacy.push({ version: install.version, ...verifyLegacyBackup(install) });
+    }
+  }
+
+  return {
+    success: true,
+    storeDir: getBackupStoreDir(),
+    backups,
+    legacy,
+    ok: backups.every((b) => b.ok) && legacy.every((l) => l.ok),
+  };
+}
+
+/**
+ * List the backups in the store, newest first.
+ */
+function listStoredBackups() {
+  const backups = listBackups().map((backup) => ({
+    id: backup.id,
+    claudeVersion: backup.claudeVersion,
+    createdAt: backup.createdAt,
+    size: Object.values(backup.files || {}).reduce((sum, f) => sum + (f.size || 0), 0),
+    dir: backup.dir,
+  }));
+  return { success: true, storeDir: getBackupStoreDir(), backups };
+}
+
+/**
+ * Delete all but the newest `keep` backups. Backups that a patched install
+ * (of any version) would be restored from are always kept.
+ */
+function pruneStoredBackups(keep, options = {}) {
+  if (!Number.isInteger(keep) || keep < 0) {
+    return { success: false, error: "--keep must be a whole number (0 or more)." };
+  }
+
+  const protectedIds = [];
+  const all = findAllClaudeInstalls(options);
+  for (const install of all.found ? all.installs : []) {
+    if (!install.found) continue;
+    const patchStatus = isPatchedOnDisk(install);
+    if (patchStatus.info && patchStatus.info.backupId) {
+      protectedIds.push(patchStatus.info.backupId);
+    }
+  }
+
+  return { success: true, ...pruneBackups(keep, protectedIds), protectedIds };
+}
+
+/**
+ * Run fn({ ...options, version }) for every installed Claude Desktop version, newest first.
+ * Returns { success, results: [{ version, ...result }] }.
+ */
+async function forEachVersion(fn, options = {}) {
+  const all = findAllClaudeInstalls(options);
+  if (!all.found) {
+    return { success: false, code: all.code, error: all.error };
+  }
+
+  const results = [];
+  for (const install of all.installs) {
+    if (!install.found) {
+      results.push({ version: install.version, success: false, code: install.code, error: install.error });
+      continue;
+    }
+    results.push({ version: install.version, ...(await fn({ ...options, version: install.version })) });
+  }
+
+  return { success: results.every((r) => r.success), results };
+}
+
+/**
+ * Compare the block in mainView.js with the payload this tool would inject
+ * now, and cross-check it against the marker.
+ *
+ * Returns { payload, problems }: payload is { state, version, hash, configHash,
+ * expectedVersion, expectedHash }, where state is "none", "up-to-date",
+ * "outdated" (built by another tool version or from another config),
+ * "modified" (edited after it was injected) or "unknown" (the config can't be
+ * loaded to compare). Without options.features the expected payload has the
+ * features from the marker. problems lists every way the block, the marker and
+ * app.asar disagree.
+ */
+function checkPayload(install, content, patchStatus, options) {
+  const info = content === null ? null : readPayloadInfo(content);
+  const config = loadConfig(withPatchedFeatures(options, patchStatus.info));
+  const expected = config.success ? readPayloadInfo(getRtlPayload(config.config)) : null;
+
+  const payload = {
+    state: "none",
+    version: info ? info.version : null,
+    hash: info ? info.hash : null,
+    configHash: info ? info.configHash : null,
+    expectedVersion: require("../package.json").version,
+    expectedHash: expected ? expected.hash : null,
+  };
+  if (info) {
+    if (info.modified) payload.state = "modified";
+    else if (!expected) payload.state = "unknown";
+    else if (info.hash === expected.hash) payload.state = "up-to-date";
+    else payload.state = "outdated";
+  }
+
+  const problems = [];
+  if (content === null) problems.push("mainView.js could not be read from app.asar");
+  if (!config.success) problems.push(`Cannot compare with the current payload: ${config.error}`);
+
+  const marker = patchStatus.info;
+  if (patchStatus.patched && !marker) {
+    problems.push("The marker file .rtl-patched.json could not be read");
+  }
+  if (patchStatus.patched && content !== null && !info) {
+    problems.push("The marker says Claude Desktop is patched, but mainView.js has no RTL fix block");
+  }
+  if (!patchStatus.patched && info) {
+    problems.push("mainView.js has an RTL fix block, but there is no marker file");
+  }
+
+  if (marker && info && info.version) {
+    if (marker.version && marker.version !== info.version) {
+      problems.push(`The marker was written by v${marker.version}, but the block is from v${info.version}`);
+    }
+    if (marker.payloadHash && marker.payloadHash !== info.hash) {
+      problems.push(`The marker records payload ${marker.payloadHash}, but the block's header says ${info.hash}`);
+    }
+    if (marker.config && marker.config.hash && marker.config.hash !== info.configHash) {
+      problems.push(
+        `The marker records config ${marker.config.hash}, but the block was built from config ${info.configHash}`
+      );
+    }
+  }
+  if (marker && marker.hashes && marker.hashes.patched) {
+    try {
+      if (computeAsarHeaderHash(install.asarPath) !== marker.hashes.patched) {
+        problems.push("app.asar changed since it was patched (a Claude update or another tool rewrote it)");
+      }
+    } catch (_) {}
+  }
+
+  return { payload, problems };
 }
 
 /**
  * Show current patch status.
+ * options.version picks an installed version; default is the newest.
+ * options.configPath and options.features pick the payload the installed one
+ * is compared with, as for patch(). mods is what other tools did to
+ * mainView.js (see inspectMainView in mods.js).
  */
-function status() {
-  const install = findClaudeInstall();
+function status(options = {}) {
+  const install = findClaudeInstall(options);
   if (!install.found) {
-    return { success: false, error: install.error };
+    return { success: false, code: install.code, error: install.error };
   }
 
   const patchStatus = isPatchedOnDisk(install);
   const backupsExist = hasBackups(install);
-  const running = isClaudeRunning();
+  const running = isClaudeRunning(install);
 
-  let codePatched = false;
+  let content = null;
   try {
-    const tempDir = path.join(os.tmpdir(), `claude-rtl-check-${Date.now()}`);
-    asar.extractAll(install.asarPath, tempDir);
-    const mainViewPath = path.join(tempDir, MAIN_VIEW_PATH);
-    if (fs.existsSync(mainViewPath)) {
-      codePatched = isCodePatched(fs.readFileSync(mainViewPath, "utf-8"));
-    }
-    cleanup(tempDir);
-  } catch {
-    // Can't check
-  }
+    const mainView = readAsarFile(install.asarPath, MAIN_VIEW_PATH);
+    if (mainView) content = mainView.toString("utf-8");
+  } catch (_) {}
+  const codePatched = content !== null && isCodePatched(content);
+  const { payload, problems } = checkPayload(install, content, patchStatus, options);
+  const mods = content === null ? null : inspectMainView(content, getStockFingerprint(install.version));
+  const signature = readSignature(install);
+  const fuses = install.fusesPath
+    ? readFuses(install.fusesPath)
+    : { found: false, error: "no Electron binary found" };
 
   return {
     success: true,
     version: install.version,
+    layout: install.layout,
     allVersions: install.allVersions,
     patched: patchStatus.patched,
     patchInfo: patchStatus.info,
     codePatched,
+    payload,
+    problems,
+    mods,
+    features: patchStatus.info && patchStatus.info.config ? patchStatus.info.config.features : null,
+    interruptedPatch: Boolean(readJournal(install)),
     backupsExist,
     running,
+    signature,
+    fuses,
     paths: {
       appDir: install.appDir,
       asar: install.asarPath,
       exe: install.exePath,
+      hash: install.hashPath,
     },
   };
 }
 
-module.exports = { patch, unpatch, status };
+module.exports = {
+  patch,
+  updatePatch,
+  unpatch,
+  status,
+  recoverPatch,
+  findInterruptedPatch,
+  forEachVersion,
+  isClaudeRunning,
+  verifyBackupFiles,
+  listStoredBackups,
+  pruneStoredBackups,
+};
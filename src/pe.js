@@ -0,0 +1,239 @@
+const fs = require("fs");
+
+/**
+ * Minimal PE (Portable Executable) reader — just enough to locate resources
+ * in claude.exe without loading the whole file into memory.
+ *
+ * Layout we walk:
+ *   DOS header (e_lfanew at 0x3C) -> "PE\0\0" signature -> COFF header (20 bytes)
+ *   -> optional header (PE32 or PE32+) with data directories -> section table
+ *
+ * The resource data directory (index 2) points at a three-level tree:
+ *   type -> name -> language -> data entry (RVA + size)
+ */
+
+const PE_SIGNATURE = 0x00004550; // "PE\0\0"
+const PE32_MAGIC = 0x10b;
+const PE32_PLUS_MAGIC = 0x20b;
+const RESOURCE_DIRECTORY_INDEX = 2;
+const SECURITY_DIRECTORY_INDEX = 4;
+const CHECKSUM_FIELD_OFFSET = 64; // same in PE32 and PE32+
+const CHUNK_SIZE = 1024 * 1024;
+const SECTION_HEADER_SIZE = 40;
+
+function readAt(fd, offset, length) {
+  const buf = Buffer.alloc(length);
+  const bytesRead = fs.readSync(fd, buf, 0, length, offset);
+  if (bytesRead !== length) {
+    throw new Error(`Unexpected end of file at offset ${offset}`);
+  }
+  return buf;
+}
+
+/**
+ * Parse the DOS, COFF and optional headers plus the section table.
+ * Throws if the file is not a valid PE image.
+ */
+function readPeHeaders(fd) {
+  const dosHeader = readAt(fd, 0, 64);
+  if (dosHeader.toString("ascii", 0, 2) !== "MZ") {
+    throw new Error("Not a Windows executable (missing MZ signature)");
+  }
+
+  const peOffset = dosHeader.readUInt32LE(0x3c);
+  const coffHeader = readAt(fd, peOffset, 24);
+  if (coffHeader.readUInt32LE(0) !== PE_SIGNATURE) {
+    throw new Error("Not a PE file (missing PE signature)");
+  }
+  const numberOfSections = coffHeader.readUInt16LE(6);
+  const sizeOfOptionalHeader = coffHeader.readUInt16LE(20);
+
+  const optionalHeaderOffset = peOffset + 24;
+  const optionalHeader = readAt(fd, optionalHeaderOffset, sizeOfOptionalHeader);
+  const magic = optionalHeader.readUInt16LE(0);
+  if (magic !== PE32_MAGIC && magic !== PE32_PLUS_MAGIC) {
+    throw new Error(`Unknown optional header magic 0x${magic.toString(16)}`);
+  }
+  const is64 = magic === PE32_PLUS_MAGIC;
+
+  // Data directories follow NumberOfRvaAndSizes (offset 92 in PE32, 108 in PE32+)
+  const dirStart = is64 ? 112 : 96;
+  const numberOfRvaAndSizes = optionalHeader.readUInt32LE(dirStart - 4);
+  const dataDirectories = [];
+  for (let i = 0; i < numberOfRvaAndSizes && dirStart + i * 8 + 8 <= sizeOfOptionalHeader; i++) {
+    dataDirectories.push({
+      rva: optionalHeader.readUInt32LE(dirStart + i * 8),
+      size: optionalHeader.readUInt32LE(dirStart + i * 8 + 4),
+    });
+  }
+
+  const sectionTableOffset = optionalHeaderOffset + sizeOfOptionalHeader;
+  const sectionTable = readAt(fd, sectionTableOffset, numberOfSections * SECTION_HEADER_SIZE);
+  const sections = [];
+  for (let i = 0; i < numberOfSections; i++) {
+    const base = i * SECTION_HEADER_SIZE;
+    sections.push({
+      name: sectionTable.toString("ascii", base, base + 8).replace(/\0+$/, ""),
+      virtualSize: sectionTable.readUInt32LE(base + 8),
+      virtualAddress: sectionTable.readUInt32LE(base + 12),
+      sizeOfRawData: sectionTable.readUInt32LE(base + 16),
+      pointerToRawData: sectionTable.readUInt32LE(base + 20),
+    });
+  }
+
+  return {
+    is64,
+    optionalHeaderOffset,
+    checksumOffset: optionalHeaderOffset + CHECKSUM_FIELD_OFFSET,
+    checksum: optionalHeader.readUInt32LE(CHECKSUM_FIELD_OFFSET),
+    dataDirectoryOffset: optionalHeaderOffset + dirStart,
+    dataDirectories,
+    sections,
+  };
+}
+
+/**
+ * Translate a relative virtual address into a file offset using the section table.
+ */
+function rvaToOffset(pe, rva) {
+  for (const section of pe.sections) {
+    const extent = Math.max(section.virtualSize, section.sizeOfRawData);
+    if (rva >= section.virtualAddress && rva < section.virtualAddress + extent) {
+      return rva - section.virtualAddress + section.pointerToRawData;
+    }
+  }
+  throw new Error(`RVA 0x${rva.toString(16)} is not inside any section`);
+}
+
+/**
+ * Read one IMAGE_RESOURCE_DIRECTORY and its entries.
+ * String names are resolved; numeric IDs are returned as numbers.
+ */
+function readResourceDirectory(fd, rootOffset, dirOffset) {
+  const header = readAt(fd, rootOffset + dirOffset, 16);
+  const count = header.readUInt16LE(12) + header.readUInt16LE(14);
+  const raw = readAt(fd, rootOffset + dirOffset + 16, count * 8);
+
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    const nameField = raw.readUInt32LE(i * 8);
+    const dataField = raw.readUInt32LE(i * 8 + 4);
+
+    let name = nameField;
+    if (nameField & 0x80000000) {
+      const nameOffset = rootOffset + (nameField & 0x7fffffff);
+      const length = readAt(fd, nameOffset, 2).readUInt16LE(0);
+      name = readAt(fd, nameOffset + 2, length * 2).toString("utf16le");
+    }
+
+    entries.push({
+      name,
+      isDirectory: (dataField & 0x80000000) !== 0,
+      offset: dataField & 0x7fffffff,
+    });
+  }
+  return entries;
+}
+
+function matchesName(entryName, wanted) {
+  if (typeof wanted === "number") return entryName === wanted;
+  return typeof entryName === "string" && entryName.toUpperCase() === wanted.toUpperCase();
+}
+
+/**
+ * Find a resource by type and name (first language wins).
+ * Returns { offset, size, rva } with offset being the file offset of the data,
+ * or null if the resource does not exist. Throws on a malformed resource tree.
+ */
+function findResource(fd, pe, type, name) {
+  const dir = pe.dataDirectories[RESOURCE_DIRECTORY_INDEX];
+  if (!dir || dir.rva === 0 || dir.size === 0) return null;
+  const rootOffset = rvaToOffset(pe, dir.rva);
+
+  const typeEntry = readResourceDirectory(fd, rootOffset, 0).find((e) => matchesName(e.name, type));
+  if (!typeEntry) return null;
+  if (!typeEntry.isDirectory) throw new Error(`Resource type ${type} is not a directory`);
+
+  const nameEntry = readResourceDirectory(fd, rootOffset, typeEntry.offset).find((e) => matchesName(e.name, name));
+  if (!nameEntry) return null;
+  if (!nameEntry.isDirectory) throw new Error(`Resource ${type}/${name} is not a directory`);
+
+  const languages = readResourceDirectory(fd, rootOffset, nameEntry.offset);
+  if (languages.length === 0 || languages[0].isDirectory) {
+    throw new Error(`Resource ${type}/${name} has no data entry`);
+  }
+
+  const dataEntry = readAt(fd, rootOffset + languages[0].offset, 16);
+  const rva = dataEntry.readUInt32LE(0);
+  const size = dataEntry.readUInt32LE(4);
+  return { offset: rvaToOffset(pe, rva), size, rva };
+}
+
+/**
+ * Compute the optional-header CheckSum the way imagehlp's CheckSumMappedFile does:
+ * a 16-bit one's-complement style sum of the whole file (with the CheckSum field
+ * itself treated as zero), folded to 16 bits, plus the file length.
+ */
+function computePeChecksum(fd, pe) {
+  const fileSize = fs.fstatSync(fd).size;
+  const chunk = Buffer.alloc(CHUNK_SIZE);
+  let sum = 0;
+
+  for (let pos = 0; pos < fileSize; pos += CHUNK_SIZE) {
+    const length = Math.min(CHUNK_SIZE, fileSize - pos);
+    fs.readSync(fd, chunk, 0, length, pos);
+    if (length % 2 === 1) chunk[length] = 0;
+
+    // Sum words in a wide accumulator and fold once per chunk
+    let partial = 0;
+    for (let i = 0; i < length; i += 2) {
+      const filePos = pos + i;
+      if (filePos >= pe.checksumOffset && filePos < pe.checksumOffset + 4) continue;
+      partial += chunk.readUInt16LE(i);
+    }
+    sum += partial;
+    while (sum > 0xffff) sum = (sum & 0xffff) + Math.floor(sum / 0x10000);
+  }
+
+  return (sum + fileSize) >>> 0;
+}
+
+/**
+ * Recompute the CheckSum of an open PE file and write it back in place.
+ * Returns { oldChecksum, newChecksum }.
+ */
+function updatePeChecksum(fd) {
+  const pe = readPeHeaders(fd);
+  const newChecksum = computePeChecksum(fd, pe);
+  if (newChecksum !== pe.checksum) {
+    const buf = Buffer.alloc(4);
+    buf.writeUInt32LE(newChecksum, 0);
+    fs.writeSync(fd, buf, 0, 4, pe.checksumOffset);
+  }
+  return { oldChecksum: pe.checksum, newChecksum };
+}
+
+/**
+ * Locate the certificate table (Authenticode signature). Unlike other data
+ * directories, its "RVA" is a plain file offset.
+ * Returns { offset, size, entryOffset } or null if the file is unsigned.
+ */
+function getCertificateTable(pe) {
+  const dir = pe.dataDirectories[SECURITY_DIRECTORY_INDEX];
+  if (!dir || dir.rva === 0 || dir.size === 0) return null;
+  return {
+    offset: dir.rva,
+    size: dir.size,
+    entryOffset: pe.dataDirectoryOffset + SECURITY_DIRECTORY_INDEX * 8,
+  };
+}
+
+module.exports = {
+  readAt,
+  readPeHeaders,
+  rvaToOffset,
+  findResource,
+  computePeChecksum,
+  updatePeChecksum,
+  getCertificateTable,
+};
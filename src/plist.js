@@ -0,0 +1,186 @@
+const fs = require("fs");
+const { replaceFileAtomic } = require("./atomic");
+
+/**
+ * Minimal Info.plist access for macOS builds of Claude Desktop.
+ *
+ * Electron keeps a macOS app's ASAR integrity hashes in its Info.plist:
+ *
+ *   <key>ElectronAsarIntegrity</key>
+ *   <dict>
+ *     <key>Resources/app.asar</key>
+ *     <dict>
+ *       <key>algorithm</key>
+ *       <string>SHA256</string>
+ *       <key>hash</key>
+ *       <string>[64-char-hex]</string>
+ *     </dict>
+ *   </dict>
+ *
+ * Only XML plists are supported. Edits replace the 64 hash characters in
+ * place, so the rest of the file stays byte-for-byte the same.
+ */
+
+const INTEGRITY_KEY = "ElectronAsarIntegrity";
+
+/**
+ * Read an Info.plist as latin1, so string offsets are byte offsets.
+ */
+function readPlistText(plistPath) {
+  const text = fs.readFileSync(plistPath, "latin1");
+  if (text.startsWith("bplist")) {
+    throw new Error(
+      "Info.plist is in binary format.\n" +
+        `  Convert it first: plutil -convert xml1 "${plistPath}"`
+    );
+  }
+  return text;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Offset of the </dict> closing the dictionary whose body starts at `from`.
+ */
+function findDictEnd(text, from) {
+  const tags = /<(\/?)dict>/g;
+  tags.lastIndex = from;
+  let depth = 1;
+  let match;
+  while ((match = tags.exec(text)) !== null) {
+    depth += match[1] ? -1 : 1;
+    if (depth === 0) return match.index;
+  }
+  return -1;
+}
+
+/**
+ * The first <string> value stored under a key, e.g. CFBundleShortVersionString.
+ * Returns null if the key is missing or not a string.
+ */
+function readPlistString(plistPath, key) {
+  const match = readPlistText(plistPath).match(
+    new RegExp(`<key>${escapeRegExp(key)}</key>\\s*<string>([^<]*)</string>`)
+  );
+  return match ? match[1] : null;
+}
+
+/**
+ * Decode the ElectronAsarIntegrity dictionary.
+ *
+ * Returns { found, entries?, positions?, error? } — entries has the same
+ * { file, alg, value } shape as the Windows integrity resource, and
+ * positions[i] is the byte offset of entries[i].value in the file.
+ */
+function readPlistIntegrity(plistPath) {
+  let text;
+  try {
+    text = readPlistText(plistPath);
+  } catch (err) {
+    return { found: false, error: `Could not read Info.plist: ${err.message}` };
+  }
+
+  const keyMatch = text.match(new RegExp(`<key>${INTEGRITY_KEY}</key>\\s*<dict>`));
+  if (!keyMatch) {
+    return {
+      found: false,
+      error:
+        `No ${INTEGRITY_KEY} key in Info.plist.\n` +
+        "  This Claude build does not embed an ASAR integrity hash.",
+    };
+  }
+  const bodyStart = keyMatch.index + keyMatch[0].length;
+  const bodyEnd = findDictEnd(text, bodyStart);
+  if (bodyEnd === -1) {
+    return { found: false, error: `${INTEGRITY_KEY} in Info.plist is not closed` };
+  }
+  const body = text.slice(bodyStart, bodyEnd);
+
+  const entries = [];
+  const positions = [];
+  const entryPattern = /<key>([^<]+)<\/key>\s*<dict>([\s\S]*?)<\/dict>/g;
+  let match;
+  while ((match = entryPattern.exec(body)) !== null) {
+    const [whole, file, dict] = match;
+    const alg = dict.match(/<key>algorithm<\/key>\s*<string>([^<]*)<\/string>/);
+    const hash = dict.match(/<key>hash<\/key>\s*<string>([0-9a-f]{64})<\/string>/);
+    if (!alg || alg[1] !== "SHA256" || !hash) {
+      return { found: false, error: `${INTEGRITY_KEY} has an unexpected entry for ${file}` };
+    }
+    const dictStart = bodyStart + match.index + whole.indexOf("<dict>") + "<dict>".length;
+    entries.push({ file, alg: alg[1], value: hash[1] });
+    positions.push(dictStart + hash.index + hash[0].lastIndexOf(hash[1]));
+  }
+
+  if (entries.length === 0) {
+    return { found: false, error: `${INTEGRITY_KEY} in Info.plist is empty` };
+  }
+  return { found: true, entries, positions };
+}
+
+/**
+ * Read the integrity hash for one archive ("Resources/app.asar").
+ * Returns { found, hash?, offset?, entries?, error? }
+ */
+function readPlistHash(plistPath, file) {
+  const integrity = readPlistIntegrity(plistPath);
+  if (!integrity.found) return integrity;
+
+  const index = integrity.entries.findIndex((e) => e.file === file);
+  if (index === -1) {
+    return {
+      found: false,
+      error:
+        `${INTEGRITY_KEY} has no entry for ${file}.\n` +
+        `  Entries: ${integrity.entries.map((e) => e.file).join(", ")}`,
+    };
+  }
+  return {
+    found: true,
+    hash: integrity.entries[index].value,
+    offset: integrity.positions[index],
+    entries: integrity.entries,
+  };
+}
+
+/**
+ * Replace the integrity hash for one archive in Info.plist.
+ * Returns { success, error? }
+ */
+function patchPlistHash(plistPath, oldHash, newHash, file) {
+  if (oldHash === newHash) {
+    return { success: true, message: "Hashes are identical, no change needed" };
+  }
+  if (!/^[0-9a-f]{64}$/.test(oldHash) || !/^[0-9a-f]{64}$/.test(newHash)) {
+    return { success: false, error: "Invalid hash format" };
+  }
+
+  const current = readPlistHash(plistPath, file);
+  if (!current.found) return { success: false, error: current.error };
+  if (current.hash !== oldHash) {
+    return {
+      success: false,
+      error:
+        `The hash for ${file} in Info.plist is not the expected one.\n` +
+        "  The app may have been modified by another tool or updated.",
+    };
+  }
+
+  try {
+    replaceFileAtomic(plistPath, (tempPath) => {
+      const updated = fs.readFileSync(plistPath);
+      updated.write(newHash, current.offset, "ascii");
+      fs.writeFileSync(tempPath, updated);
+    });
+  } catch (err) {
+    return {
+      success: false,
+      error: `Failed to update Info.plist: ${err.message}\n  Info.plist was not modified.`,
+    };
+  }
+  return { success: true };
+}
+
+module.exports = { readPlistString, readPlistIntegrity, readPlistHash, patchPlistHash };
@@ -0,0 +1,51 @@
+/**
+ * Progress events.
+ *
+ * The library never prints. Long operations report what they are doing by
+ * calling options.onEvent(event) with one of:
+ *
+ *   { type: "step-start",  step, message }   a step began ("backup", "repack", ...)
+ *   { type: "step-finish", step, message? }  it completed
+ *   { type: "info",        message }         anything else worth showing
+ *   { type: "warning",     message }         something unexpected that didn't stop the run
+ *   { type: "rollback",    step, reason, message }
+ *                                            a step failed and the install is being restored
+ *
+ * Every event with a message can be shown as-is; the CLI prints them as
+ * progress lines and the API (index.js) re-emits them on its EventEmitter.
+ */
+
+const EventTypes = Object.freeze({
+  STEP_START: "step-start",
+  STEP_FINISH: "step-finish",
+  INFO: "info",
+  WARNING: "warning",
+  ROLLBACK: "rollback",
+});
+
+/**
+ * Wrap options.onEvent in one helper per event type. A missing onEvent
+ * makes every report a no-op.
+ */
+function createReporter(onEvent) {
+  const emit = typeof onEvent === "function" ? onEvent : () => {};
+  return {
+    start(step, message) {
+      emit({ type: EventTypes.STEP_START, step, message });
+    },
+    finish(step, message) {
+      emit({ type: EventTypes.STEP_FINISH, step, message });
+    },
+    info(message) {
+      emit({ type: EventTypes.INFO, message });
+    },
+    warn(message) {
+      emit({ type: EventTypes.WARNING, message });
+    },
+    rollback(step, reason) {
+      emit({ type: EventTypes.ROLLBACK, step, reason, message: `${reason}, restoring backups...` });
+    },
+  };
+}
+
+module.exports = { EventTypes, createReporter };
@@ -2,114 +2,113 @@
  * RTL fix payload — CSS + JS injected into Claude Desktop's mainView.js preload script.
  *
  * Design principles:
- * - Each paragraph/cell auto-detects its direction independently
- * - Lists: CSS :has() detects RTL list items and flips markers to the right
+ * - Each paragraph/cell with RTL text gets an explicit dir from its first strong
+ *   letter (or its majority of letters), ignoring code, links and URLs
+ * - Lists: each list follows the direction of most (or the first) of its
+ *   items, which puts its markers on that side; items keep their own
  * - Tables: each cell detects direction independently
  * - Code blocks: always LTR, never touched
+ * - Inline code, links, URLs, paths and numbers: LTR isolates inside RTL text
  * - Input areas: dir="auto" set once by JS, browser handles rest natively
  * - Streaming: debounced MutationObserver re-evaluates direction
+ * - Runtime toggle: off / auto / forced RTL or LTR, without unpatching
+ *
+ * Each of these is a feature module (features/) that can be turned off; the
+ * payload is assembled from the enabled ones. Scripts, selectors and features
+ * come from the user config (config.js).
  */
 
-const RTL_CSS = `
-/* === Claude RTL Fixer === */
-
-/* --- Message text blocks: auto-detect direction --- */
-[class*="message"] p,
-[class*="message"] li,
-[class*="message"] h1,
-[class*="message"] h2,
-[class*="message"] h3,
-[class*="message"] h4,
-[class*="message"] h5,
-[class*="message"] h6,
-[class*="message"] blockquote,
-[data-testid*="message"] p,
-[data-testid*="message"] li,
-[data-testid*="message"] h1,
-[data-testid*="message"] h2,
-[data-testid*="message"] h3,
-[data-testid*="message"] h4,
-[data-testid*="message"] h5,
-[data-testid*="message"] h6,
-[data-testid*="message"] blockquote,
-.prose p,
-.prose li,
-.prose h1, .prose h2, .prose h3, .prose h4, .prose h5, .prose h6,
-.prose blockquote {
-  unicode-bidi: plaintext;
-  text-align: start;
-}
+const crypto = require("crypto");
+const { resolveConfig, hashConfig, getRtlRanges } = require("./config");
+const { FEATURE_MODULES } = require("./features");
 
-/* --- Tables: each cell detects its own direction --- */
-[class*="message"] td,
-[class*="message"] th,
-[data-testid*="message"] td,
-[data-testid*="message"] th,
-.prose td, .prose th {
-  unicode-bidi: plaintext;
-  text-align: start;
+/**
+ * The features the config turns on, in payload order.
+ */
+function enabledFeatures(config) {
+  return FEATURE_MODULES.filter((feature) => config.features[feature.name]);
 }
 
-/* --- Lists: CSS :has() detects when list items have RTL dir ---
- * When our JS sets dir="auto" on an <li>, and that <li> is inside a list,
- * flip the list to RTL so bullet/number markers appear on the right side.
- * Using :has() (Chrome 105+, Electron supports it) for zero-timing-dependency.
+/**
+ * The stylesheet: each enabled feature's section.
  */
-ul:has(> li[dir="auto"]),
-ol:has(> li[dir="auto"]),
-ul[dir="rtl"],
-ol[dir="rtl"] {
-  direction: rtl !important;
-  padding-right: 2em !important;
-  padding-left: 0 !important;
+function buildCss(config) {
+  const sections = [
+    "/* === Claude RTL Fixer === */",
+    ...enabledFeatures(config)
+      .filter((feature) => feature.css)
+      .map((feature) => feature.css(config)),
+    "/* === End Claude RTL Fixer === */",
+  ];
+  return `\n${sections.join("\n\n")}\n`;
 }
-ul:has(> li[dir="auto"]) > li,
-ol:has(> li[dir="auto"]) > li,
-ul[dir="rtl"] > li,
-ol[dir="rtl"] > li {
-  text-align: start;
-}
-
 
-/* --- User input: dir="auto" set by JS once, CSS ensures it sticks --- */
-textarea[dir="auto"], [contenteditable="true"][dir="auto"],
-[class*="ProseMirror"][dir="auto"], [role="textbox"][dir="auto"] {
-  text-align: start !important;
-}
-textarea, [contenteditable="true"],
-[class*="ProseMirror"], [role="textbox"] {
-  unicode-bidi: plaintext !important;
+/**
+ * A code point as a regex escape: \uXXXX, or \u{XXXXX} outside the BMP.
+ */
+function regexEscape(codePoint) {
+  const hex = codePoint.toString(16).toUpperCase();
+  return codePoint > 0xffff ? `\\u{${hex}}` : `\\u${hex.padStart(4, "0")}`;
 }
 
-/* --- Code: ALWAYS LTR, never affected by RTL --- */
-pre, code,
-[class*="code"], [class*="Code"],
-.hljs, [class*="CodeBlock"],
-[class*="highlight"],
-pre *, code *,
-.katex, .katex *, .math, .math * {
-  direction: ltr !important;
-  unicode-bidi: isolate !important;
-  text-align: left !important;
+/**
+ * The RTL_REGEX character class for the config's scripts and ranges.
+ */
+function buildRtlRegex(config) {
+  const ranges = getRtlRanges(config)
+    .map(([first, last]) => (first === last ? regexEscape(first) : `${regexEscape(first)}-${regexEscape(last)}`))
+    .join("");
+  return `/[${ranges}]/u`;
 }
 
-/* === End Claude RTL Fixer === */
-`;
+/**
+ * The page script: the shared direction logic and MutationObserver, plus the
+ * script of each enabled feature.
+ */
+function buildJs(config) {
+  const { selectors } = config;
+  const features = enabledFeatures(config);
+  const textSelectors = [
+    ...new Set(features.flatMap((feature) => (feature.textSelectors ? feature.textSelectors(config) : []))),
+  ];
+  const featureScripts = features.map((feature) => (feature.script ? feature.script(config) : "")).join("");
 
-const RTL_JS = `
+  return `
 // === Claude RTL Fixer — MutationObserver ===
 (function() {
-  // RTL Unicode ranges: Hebrew, Arabic, Thaana, Syriac, and presentation forms
-  var RTL_REGEX = /[\\u0590-\\u05FF\\u0600-\\u06FF\\u0700-\\u074F\\u0750-\\u077F\\u0780-\\u07BF\\u08A0-\\u08FF\\uFB1D-\\uFDFF\\uFE70-\\uFEFF]/;
+  // RTL Unicode ranges: Hebrew, Arabic, Thaana, Syriac, presentation forms and any configured extras
+  var RTL_REGEX = ${buildRtlRegex(config)};
+
+  // Strong characters for direction detection (UAX #9 P2): letters. RTL_REGEX
+  // tells the right-to-left ones apart; digits and punctuation are neutral.
+  var STRONG_REGEX = /\\p{L}/gu;
+
+  // URLs typed as plain text — their Latin letters say nothing about the paragraph
+  var URL_REGEX = /\\b[a-z][a-z0-9+.-]*:\\/\\/\\S+/gi;
+
+  // "first-strong" or "majority" (see DIRECTION_OPTIONS in config.js)
+  var DIRECTION_POLICY = ${JSON.stringify(config.direction.policy)};
+
+  // Message blocks — forcing a direction only applies inside them
+  var CONTAINER_SELECTORS = ${JSON.stringify(selectors.containers.join(", "))};
 
-  // Text-level elements that get dir="auto"
-  var TEXT_SELECTORS = 'p, li, h1, h2, h3, h4, h5, h6, blockquote, td, th';
+  // Text-level elements that get an explicit dir
+  var TEXT_SELECTORS = ${JSON.stringify(textSelectors.join(", "))};
 
   // Elements that must stay LTR
-  var CODE_SELECTORS = 'pre, code, [class*="code"], [class*="Code"], [class*="CodeBlock"], .hljs, .katex, .math';
+  var CODE_SELECTORS = ${JSON.stringify(selectors.code.join(", "))};
 
   // Input areas — set dir="auto" ONCE (the browser handles direction natively after that)
-  var INPUT_SELECTORS = 'textarea, [contenteditable="true"], [class*="ProseMirror"], [role="textbox"]';
+  var INPUT_SELECTORS = ${JSON.stringify(selectors.input.join(", "))};
+
+  // Feature scripts register callbacks for each added node, for full scans,
+  // for each block whose direction was (re)applied, and to override a block's
+  // direction ('rtl' / 'ltr', or null to leave it to the mode)
+  var hooks = { node: [], all: [], dir: [], override: [] };
+
+  // 'auto' (detect), 'off', or 'rtl' / 'ltr' to force one direction in every
+  // message — changed with setMode (see the "toggle" feature)
+  var mode = 'auto';
 
   function isCodeElement(el) {
     if (!el || !el.tagName) return false;
@@ -127,48 +126,101 @@ const RTL_JS = `
     return false;
   }
 
+  function isInContainer(el) {
+    try { return Boolean(CONTAINER_SELECTORS) && el.closest(CONTAINER_SELECTORS) !== null; } catch(e) { return false; }
+  }
+
   function hasRtl(text) {
     return RTL_REGEX.test(text);
   }
 
-  // Set dir="auto" on text-level elements when they contain RTL text.
-  // For <li> elements, the CSS :has() rule will automatically flip the parent list.
-  function applyDir(el) {
-    if (isCodeElement(el)) return;
-    var text = el.textContent || '';
-    if (hasRtl(text)) {
-      if (el.getAttribute('dir') !== 'auto') {
-        el.setAttribute('dir', 'auto');
+  // Code, math and links don't count towards a block's direction; nested lists
+  // get their own
+  var SKIP_SELECTORS = [CODE_SELECTORS, 'a', 'ul', 'ol'].filter(Boolean).join(', ');
+
+  function isSkipped(el) {
+    try { return el.matches(SKIP_SELECTORS); } catch(e) { return false; }
+  }
+
+  // Call fn on each text node of a block, in order, outside code, links and nested lists
+  function eachText(el, fn) {
+    var walker = document.createTreeWalker(el, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, {
+      acceptNode: function(node) {
+        if (node.nodeType === Node.TEXT_NODE) return NodeFilter.FILTER_ACCEPT;
+        return isSkipped(node) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_SKIP;
       }
-    } else if (el.getAttribute('dir') === 'auto') {
+    });
+    var node;
+    while ((node = walker.nextNode())) fn(node);
+  }
+
+  // Resolve a block's direction from its letters, skipping code, links and URLs.
+  // Returns 'rtl', 'ltr', or null when there is no RTL letter to act on.
+  function resolveDir(el) {
+    var first = null, rtl = 0, ltr = 0;
+    eachText(el, function(node) {
+      var text = node.nodeValue.replace(URL_REGEX, ' ');
+      var match;
+      STRONG_REGEX.lastIndex = 0;
+      while ((match = STRONG_REGEX.exec(text))) {
+        var isRtl = hasRtl(match[0]);
+        if (!first) first = isRtl ? 'rtl' : 'ltr';
+        if (isRtl) rtl++; else ltr++;
+      }
+    });
+    if (rtl === 0) return null;
+    if (DIRECTION_POLICY === 'majority' && rtl !== ltr) return rtl > ltr ? 'rtl' : 'ltr';
+    return first;
+  }
+
+  // Set the dir this script manages, or remove it (dir null). data-rtl-dir
+  // marks it as ours, so a dir the page set itself is never removed.
+  function setDir(el, dir) {
+    if (dir) {
+      if (el.getAttribute('dir') !== dir) el.setAttribute('dir', dir);
+      if (el.getAttribute('data-rtl-dir') !== dir) el.setAttribute('data-rtl-dir', dir);
+    } else if (el.hasAttribute('data-rtl-dir')) {
       el.removeAttribute('dir');
+      el.removeAttribute('data-rtl-dir');
     }
   }
 
-  // Set dir="auto" on input elements ONCE — browser handles the rest natively
-  // (no per-keystroke JS, so no freeze)
-  function setupInputDir(el) {
-    if (el.getAttribute('dir') === 'auto') return;
-    el.setAttribute('dir', 'auto');
+  // The first direction an override hook gives a block, or null
+  function overrideDir(el) {
+    for (var h = 0; h < hooks.override.length; h++) {
+      var dir = hooks.override[h](el);
+      if (dir) return dir;
+    }
+    return null;
   }
 
-  function setupAllInputs() {
-    document.querySelectorAll(INPUT_SELECTORS).forEach(setupInputDir);
+  // Give text-level elements with RTL text an explicit dir="rtl" or dir="ltr".
+  // An override wins over the mode. For <li> elements, the "lists" feature
+  // then re-decides the parent list's direction.
+  function applyDir(el) {
+    if (mode === 'off' || isCodeElement(el)) return;
+    var dir = overrideDir(el);
+    if (!dir && (mode === 'rtl' || mode === 'ltr') && isInContainer(el)) {
+      dir = mode;
+    } else if (!dir) {
+      dir = hasRtl(el.textContent || '') ? resolveDir(el) : null;
+    }
+    setDir(el, dir);
+    for (var h = 0; h < hooks.dir.length; h++) {
+      hooks.dir[h](el, dir);
+    }
   }
 
   function processNode(node) {
     if (node.nodeType !== Node.ELEMENT_NODE) return;
+    // Each hook on its own: one that throws (a selector the page can't
+    // parse) doesn't stop the others or the text processing below
+    for (var h = 0; h < hooks.node.length; h++) {
+      try { hooks.node[h](node); } catch(e) {}
+    }
     try {
-      // Setup dir="auto" on any new input elements (one-time per element)
-      if (node.matches && node.matches(INPUT_SELECTORS)) {
-        setupInputDir(node);
-      }
-      var inputs = node.querySelectorAll ? node.querySelectorAll(INPUT_SELECTORS) : [];
-      for (var k = 0; k < inputs.length; k++) {
-        setupInputDir(inputs[k]);
-      }
-
       // Process message text elements (skip inputs)
+      if (!TEXT_SELECTORS) return;
       if (!isInputArea(node) && node.matches(TEXT_SELECTORS)) {
         applyDir(node);
       }
@@ -182,10 +234,15 @@ const RTL_JS = `
   }
 
   function processAll() {
-    setupAllInputs();
-    document.querySelectorAll(TEXT_SELECTORS).forEach(function(el) {
-      if (!isInputArea(el)) applyDir(el);
+    hooks.all.forEach(function(hook) {
+      try { hook(); } catch(e) {}
     });
+    if (!TEXT_SELECTORS) return;
+    try {
+      document.querySelectorAll(TEXT_SELECTORS).forEach(function(el) {
+        if (!isInputArea(el)) applyDir(el);
+      });
+    } catch(e) {}
   }
 
   // Debounce for streaming — batches rapid mutations into one rAF
@@ -205,6 +262,7 @@ const RTL_JS = `
     }
   }
 
+${featureScripts}
   var observer = new MutationObserver(function(mutations) {
     for (var m = 0; m < mutations.length; m++) {
       var mut = mutations[m];
@@ -218,6 +276,7 @@ const RTL_JS = `
         if (isInputArea(target.parentElement)) continue;
 
         // Streaming — find nearest text block ancestor
+        if (!TEXT_SELECTORS) continue;
         var el = target.parentElement;
         while (el && el !== document.body) {
           try {
@@ -232,12 +291,48 @@ const RTL_JS = `
     }
   });
 
-  function startObserving() {
+  function observe() {
     observer.observe(document.body, {
       childList: true,
       subtree: true,
       characterData: true
     });
+  }
+
+  // Remove every dir this script set (and, through the hooks, what features
+  // derived from it)
+  function clearAll() {
+    document.querySelectorAll('[data-rtl-dir]').forEach(function(el) {
+      setDir(el, null);
+      for (var h = 0; h < hooks.dir.length; h++) {
+        hooks.dir[h](el, null);
+      }
+    });
+    // Hooks may have set a list's dir again on the way
+    document.querySelectorAll('[data-rtl-dir]').forEach(function(el) { setDir(el, null); });
+  }
+
+  // Switch mode. 'off' disconnects the observer and removes our attributes;
+  // leaving 'off' reconnects it. Either way the page is processed again.
+  function setMode(next) {
+    if (next === mode) return;
+    var wasOff = mode === 'off';
+    mode = next;
+    document.documentElement.setAttribute('data-rtl-fixer', mode);
+    if (mode === 'off') {
+      observer.disconnect();
+      clearAll();
+      return;
+    }
+    clearAll();
+    if (wasOff) observe();
+    processAll();
+  }
+
+  function startObserving() {
+    document.documentElement.setAttribute('data-rtl-fixer', mode);
+    if (mode === 'off') return;
+    observe();
     processAll();
   }
 
@@ -249,30 +344,89 @@ const RTL_JS = `
 })();
 // === End Claude RTL Fixer ===
 `;
+}
 
 /**
- * Returns the code to append to mainView.js.
+ * Returns the code to append to mainView.js, built from a resolved config
+ * (see config.js; default: the built-in settings).
+ *
+ * The line after the start marker is a header with the tool version, a hash
+ * of the rest of the block and the config hash, so status can tell which
+ * payload is installed and whether it was edited (see readPayloadInfo).
  */
-function getRtlPayload() {
-  const escapedCSS = RTL_CSS.replace(/\\/g, "\\\\").replace(/`/g, "\\`").replace(/\$/g, "\\$");
-  const escapedJS = RTL_JS.replace(/\\/g, "\\\\").replace(/`/g, "\\`").replace(/\$/g, "\\$");
+function getRtlPayload(config = resolveConfig()) {
+  const escapedCSS = buildCss(config).replace(/\\/g, "\\\\").replace(/`/g, "\\`").replace(/\$/g, "\\$");
+  const escapedJS = buildJs(config).replace(/\\/g, "\\\\").replace(/`/g, "\\`").replace(/\$/g, "\\$");
 
-  return `
-
-// === Claude RTL Fixer — Injected by claude-rtl-fixer ===
-require("electron").webFrame.insertCSS(\`${escapedCSS}\`, {cssOrigin: "author"});
+  const body = `require("electron").webFrame.insertCSS(\`${escapedCSS}\`, {cssOrigin: "author"});
 
 // Inject MutationObserver script into the page
 require("electron").webFrame.executeJavaScript(\`${escapedJS}\`);
-// === End Claude RTL Fixer ===
+${BLOCK_END}
 `;
+  const header =
+    `${HEADER_PREFIX} version=${require("../package.json").version}` +
+    ` hash=${hashPayloadBody(body)} config=${hashConfig(config)}`;
+
+  return `\n\n${BLOCK_START}\n${header}\n${body}`;
+}
+
+function hashPayloadBody(body) {
+  return crypto.createHash("sha256").update(body).digest("hex").slice(0, 16);
 }
 
+/** Start of the header line getRtlPayload puts after BLOCK_START */
+const HEADER_PREFIX = "// claude-rtl-fixer payload:";
+
 /** Marker to detect if a file has already been patched */
 const RTL_MARKER = "Claude RTL Fixer";
 
+/** First and last lines of the block getRtlPayload returns (in every version of this tool) */
+const BLOCK_START = "// === Claude RTL Fixer — Injected by claude-rtl-fixer ===";
+const BLOCK_END = "// === End Claude RTL Fixer ===";
+
 function isPatched(content) {
   return content.includes(RTL_MARKER);
 }
 
-module.exports = { getRtlPayload, isPatched, RTL_MARKER };
+/**
+ * Locate the injected block in mainView.js, including the blank lines before
+ * it and the newline after it — exactly what getRtlPayload returned.
+ * The page script inside the block has its own end line, so the block ends
+ * at the last one. Returns { start, end } (end exclusive) or null.
+ */
+function findPayload(content) {
+  const startLine = content.indexOf(BLOCK_START);
+  const endLine = content.lastIndexOf(BLOCK_END);
+  if (startLine === -1 || endLine < startLine) return null;
+
+  const start = content.slice(startLine - 2, startLine) === "\n\n" ? startLine - 2 : startLine;
+  let end = endLine + BLOCK_END.length;
+  if (content[end] === "\n") end++;
+  return { start, end };
+}
+
+/**
+ * Read the header of the injected block in mainView.js.
+ *
+ * Returns null if there is no block, else { version, hash, configHash, modified }:
+ * modified is true when the block no longer matches its own hash. Blocks from
+ * versions of this tool before the header have version, hashes and modified null.
+ */
+function readPayloadInfo(content) {
+  const block = findPayload(content);
+  if (!block) return null;
+  const text = content.slice(block.start, block.end);
+  const match = /\n\/\/ claude-rtl-fixer payload: version=(\S+) hash=([0-9a-f]+) config=([0-9a-f]+)\n/.exec(text);
+  if (!match) return { version: null, hash: null, configHash: null, modified: null };
+
+  const body = text.slice(match.index + match[0].length);
+  return {
+    version: match[1],
+    hash: match[2],
+    configHash: match[3],
+    modified: hashPayloadBody(body) !== match[2],
+  };
+}
+
+module.exports = { getRtlPayload, isPatched, findPayload, readPayloadInfo, RTL_MARKER };
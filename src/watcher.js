@@ -0,0 +1,174 @@
+const fs = require("fs");
+const { findAllClaudeInstalls, findInstallRoot } = require("./finder");
+const { patch, status, isClaudeRunning } = require("./patcher");
+const { createReporter } = require("./progress");
+
+/**
+ * Watch mode — patches new Claude Desktop versions as the updater installs them.
+ *
+ * Claude's updater (Squirrel) unpacks each update into a new app-X.Y.Z folder
+ * under %LOCALAPPDATA%\AnthropicClaude; on macOS and Linux the update replaces
+ * the files in place, which shows up as a new version at the same root. We
+ * watch the install root (and poll it, since file system events can be missed),
+ * wait until a new version's files stop changing and Claude is closed, then patch it.
+ */
+
+const POLL_INTERVAL_MS = 30 * 1000;
+const EVENT_DELAY_MS = 5 * 1000;
+const RETRY_BASE_MS = 60 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+
+/**
+ * Size + mtime of the files a version needs, used to tell when the updater is
+ * done. Layouts without an exe path (some Linux ones) only have app.asar.
+ */
+function fileSignature(install) {
+  try {
+    return [install.asarPath, install.exePath]
+      .filter(Boolean)
+      .map((p) => {
+        const stat = fs.statSync(p);
+        return `${stat.size}:${stat.mtimeMs}`;
+      })
+      .join("|");
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Start watching. Versions already installed when the watch starts are left
+ * alone; only versions that appear afterwards are patched.
+ * options.installDir watches a custom install folder, options.configPath and
+ * options.features pick the config new versions are patched with; options.onEvent
+ * receives what happens as "info" and "warning" events (see progress.js).
+ *
+ * Returns { stop }.
+ */
+function watch(options = {}) {
+  const report = createReporter(options.onEvent);
+  const log = report.info;
+  const target = {
+    installDir: options.installDir,
+    configPath: options.configPath,
+    features: options.features,
+  };
+  const claudeBase = findInstallRoot(target).root;
+
+  // version -> { signature, done, failures, nextAttemptAt, waitingLogged }
+  const versions = new Map();
+  let busy = false;
+  let stopped = false;
+  let watcher = null;
+  let eventTimer = null;
+
+  const initial = findAllClaudeInstalls(target);
+  for (const version of initial.found ? initial.versions : []) {
+    versions.set(version, { done: true });
+  }
+  log(
+    initial.found
+      ? `Watching ${claudeBase} (installed: ${initial.versions.join(", ")})`
+      : `Watching ${claudeBase} (no Claude Desktop versions yet)`
+  );
+
+  async function handleVersion(install, state) {
+    if (!install.found) return; // updater hasn't written both files yet
+
+    // Ready once the files look the same on two consecutive checks
+    const signature = fileSignature(install);
+    if (!signature || signature !== state.signature) {
+      if (!state.signature) log(`New version detected: v${install.version} — waiting for the update to finish`);
+      state.signature = signature;
+      return;
+    }
+
+    const current = status({ ...target, version: install.version });
+    if (current.success && current.patched) {
+      log(`v${install.version} is already patched`);
+      state.done = true;
+      return;
+    }
+
+    if (Date.now() < (state.nextAttemptAt || 0)) return;
+
+    if (isClaudeRunning(install)) {
+      if (!state.waitingLogged) log(`v${install.version} is ready — waiting for Claude Desktop to close`);
+      state.waitingLogged = true;
+      return;
+    }
+
+    log(`Patching v${install.version}...`);
+    const result = await patch({ ...target, version: install.version });
+    if (result.success) {
+      log(`Patched v${install.version}`);
+      state.done = true;
+      return;
+    }
+
+    state.failures = (state.failures || 0) + 1;
+    const delay = Math.min(RETRY_BASE_MS * 2 ** (state.failures - 1), RETRY_MAX_MS);
+    state.nextAttemptAt = Date.now() + delay;
+    report.warn(
+      `Failed to patch v${install.version} (attempt ${state.failures}): ${result.error.split("\n")[0]}\n` +
+        `  Retrying in ${Math.round(delay / 60000)} min`
+    );
+  }
+
+  async function check() {
+    if (busy || stopped) return;
+    busy = true;
+    try {
+      ensureWatcher();
+      const all = findAllClaudeInstalls(target);
+      if (!all.found) return;
+
+      for (const install of all.installs) {
+        if (!versions.has(install.version)) versions.set(install.version, {});
+        const state = versions.get(install.version);
+        if (!state.done) await handleVersion(install, state);
+      }
+    } catch (err) {
+      report.warn(`Watch error: ${err.message}`);
+    } finally {
+      busy = false;
+    }
+  }
+
+  function scheduleCheck() {
+    if (eventTimer || stopped) return;
+    eventTimer = setTimeout(() => {
+      eventTimer = null;
+      check();
+    }, EVENT_DELAY_MS);
+  }
+
+  // The base folder may not exist until Claude is first installed
+  function ensureWatcher() {
+    if (watcher || !fs.existsSync(claudeBase)) return;
+    try {
+      watcher = fs.watch(claudeBase, scheduleCheck);
+      watcher.on("error", () => {
+        watcher.close();
+        watcher = null;
+      });
+    } catch {
+      watcher = null; // polling still covers it
+    }
+  }
+
+  ensureWatcher();
+  const pollTimer = setInterval(check, options.pollIntervalMs || POLL_INTERVAL_MS);
+
+  return {
+    stop() {
+      stopped = true;
+      clearInterval(pollTimer);
+      if (eventTimer) clearTimeout(eventTimer);
+      if (watcher) watcher.close();
+      log("Stopped watching");
+    },
+  };
+}
+
+module.exports = { watch };
@@ -0,0 +1,143 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { readAsarFile, replaceAsarFile, previewAsarReplacement } = require("../src/archive");
+const { buildAsar, integrity } = require("./fixtures/installs");
+
+const MAIN_VIEW = ".vite/build/mainView.js";
+const BLOCK_SIZE = 16;
+
+/**
+ * The header JSON of an archive, as it is stored.
+ */
+function readHeader(asarPath) {
+  const buf = fs.readFileSync(asarPath);
+  return JSON.parse(buf.toString("utf-8", 16, 16 + buf.readUInt32LE(12)));
+}
+
+describe("ASAR rewriting", () => {
+  let dir;
+  let src;
+  let dest;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "rtl-archive-"));
+    src = path.join(dir, "app.asar");
+    dest = path.join(dir, "app.asar.new");
+  });
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const files = {
+    "package.json": '{"name":"claude","version":"1.2.3"}',
+    ".vite/build/index.js": "console.log('index');\n",
+    [MAIN_VIEW]: "console.log('mainView');\n",
+    ".vite/build/preload.js": "console.log('preload');\n".repeat(3),
+    "node_modules/native/addon.node": { data: "unpacked binary", unpacked: true },
+    "node_modules/.bin/tool": { data: "#!/bin/sh\necho tool\n", executable: true },
+  };
+
+  it("shifts the offsets of later files by the size change and keeps earlier ones", () => {
+    fs.writeFileSync(src, buildAsar(files));
+    const before = readHeader(src);
+    const content = Buffer.from("console.log('mainView with the RTL fix, which is longer');\n");
+
+    const result = replaceAsarFile(src, dest, MAIN_VIEW, content);
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.newSize, content.length);
+
+    const after = readHeader(dest);
+    const delta = content.length - before.files[".vite"].files.build.files["mainView.js"].size;
+    const build = (header) => header.files[".vite"].files.build.files;
+    assert.strictEqual(after.files["package.json"].offset, before.files["package.json"].offset);
+    assert.strictEqual(build(after)["index.js"].offset, build(before)["index.js"].offset);
+    assert.strictEqual(build(after)["mainView.js"].offset, build(before)["mainView.js"].offset);
+    assert.strictEqual(build(after)["mainView.js"].size, content.length);
+    assert.strictEqual(
+      build(after)["preload.js"].offset,
+      String(Number(build(before)["preload.js"].offset) + delta)
+    );
+
+    for (const [filePath, contents] of Object.entries(files)) {
+      if (filePath === MAIN_VIEW || contents.unpacked) continue;
+      assert.strictEqual(readAsarFile(dest, filePath).toString("utf-8"), contents.data || contents, filePath);
+    }
+  });
+
+  it("returns the new content, shorter or empty, when read back", () => {
+    fs.writeFileSync(src, buildAsar(files));
+    for (const content of ["x", ""]) {
+      assert.strictEqual(replaceAsarFile(src, dest, MAIN_VIEW, Buffer.from(content)).success, true);
+      assert.strictEqual(readAsarFile(dest, MAIN_VIEW).toString("utf-8"), content);
+      const preload = ".vite/build/preload.js";
+      assert.strictEqual(readAsarFile(dest, preload).toString("utf-8"), files[preload]);
+    }
+  });
+
+  for (const size of [BLOCK_SIZE * 3 + 5, BLOCK_SIZE * 3]) {
+    it(`recomputes every integrity block of the replaced file (${size} bytes)`, () => {
+      fs.writeFileSync(src, buildAsar(files, { blockSize: BLOCK_SIZE }));
+      const content = Buffer.from("r".repeat(size));
+
+      assert.strictEqual(replaceAsarFile(src, dest, MAIN_VIEW, content).success, true);
+      const replaced = readHeader(dest).files[".vite"].files.build.files["mainView.js"].integrity;
+      assert.deepStrictEqual(replaced, integrity(content, BLOCK_SIZE));
+      // Three full blocks, then the partial or empty trailing one
+      assert.strictEqual(replaced.blocks.length, 4);
+      if (size % BLOCK_SIZE === 0) {
+        assert.strictEqual(replaced.blocks[3], integrity(Buffer.alloc(0), BLOCK_SIZE).hash);
+      }
+    });
+  }
+
+  it("keeps unpacked and executable entries and other files' integrity", () => {
+    fs.writeFileSync(src, buildAsar(files, { blockSize: BLOCK_SIZE }));
+    const before = readHeader(src);
+
+    assert.strictEqual(replaceAsarFile(src, dest, MAIN_VIEW, Buffer.from("patched")).success, true);
+    const after = readHeader(dest);
+
+    const addon = (header) => header.files.node_modules.files.native.files["addon.node"];
+    const tool = (header) => header.files.node_modules.files[".bin"].files.tool;
+    assert.deepStrictEqual(addon(after), addon(before));
+    assert.strictEqual(addon(after).unpacked, true);
+    // Stored after mainView.js, so only its offset moves
+    assert.deepStrictEqual({ ...tool(after), offset: tool(before).offset }, tool(before));
+    assert.strictEqual(tool(after).executable, true);
+    assert.deepStrictEqual(after.files["package.json"], before.files["package.json"]);
+    for (const name of ["index.js", "preload.js"]) {
+      const file = (header) => header.files[".vite"].files.build.files[name];
+      assert.deepStrictEqual(file(after).integrity, file(before).integrity);
+    }
+  });
+
+  it("refuses a header that doesn't round-trip through JSON.stringify", () => {
+    fs.writeFileSync(src, buildAsar(files, { indent: 2 }));
+    const result = replaceAsarFile(src, dest, MAIN_VIEW, Buffer.from("patched"));
+    assert.strictEqual(result.success, false);
+    assert.match(result.error, /not in the expected format/);
+    assert.strictEqual(fs.existsSync(dest), false);
+    assert.strictEqual(previewAsarReplacement(src, MAIN_VIEW, Buffer.from("patched")).success, false);
+  });
+
+  it("refuses to replace a missing or unpacked file", () => {
+    fs.writeFileSync(src, buildAsar(files));
+    assert.match(replaceAsarFile(src, dest, ".vite/build/missing.js", Buffer.from("x")).error, /not found inside/);
+    assert.match(
+      replaceAsarFile(src, dest, "node_modules/native/addon.node", Buffer.from("x")).error,
+      /stored in app\.asar\.unpacked/
+    );
+  });
+
+  it("previews the header it would write", () => {
+    fs.writeFileSync(src, buildAsar(files));
+    const content = Buffer.from("patched");
+    const preview = previewAsarReplacement(src, MAIN_VIEW, content);
+    assert.strictEqual(preview.success, true);
+    replaceAsarFile(src, dest, MAIN_VIEW, content);
+    assert.deepStrictEqual(JSON.parse(preview.headerString), readHeader(dest));
+  });
+});
@@ -0,0 +1,51 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { verifyLegacyBackup } = require("../src/backup");
+const { LAYOUTS } = require("../src/layouts");
+const { makeSquirrelInstall } = require("./fixtures/installs");
+const { buildPe, integrityResource } = require("./fixtures/pe");
+
+describe("legacy .bak verification", () => {
+  let dir;
+  let install;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "rtl-backup-"));
+    const root = makeSquirrelInstall(path.join(dir, "AnthropicClaude"), ["1.2.3"]);
+    [install] = LAYOUTS.find((l) => l.name === "squirrel").listInstalls(root);
+    fs.copyFileSync(install.asarPath, install.asarPath + ".bak");
+    fs.copyFileSync(install.exePath, install.exePath + ".bak");
+  });
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("accepts backups that match each other", () => {
+    assert.deepStrictEqual(verifyLegacyBackup(install), { ok: true, problems: [] });
+  });
+
+  it("rejects an app.asar.bak that doesn't match claude.exe.bak", () => {
+    const otherHash = integrityResource({ "resources\\app.asar": "a".repeat(64) });
+    fs.writeFileSync(install.exePath + ".bak", buildPe([otherHash]));
+    const result = verifyLegacyBackup(install);
+    assert.strictEqual(result.ok, false);
+    assert.match(result.problems[0], /does not match the integrity hash/);
+  });
+
+  it("rejects a claude.exe.bak whose hash can't be read", () => {
+    fs.writeFileSync(install.exePath + ".bak", buildPe([{ type: 16, name: 1, data: "version info" }]));
+    const result = verifyLegacyBackup(install);
+    assert.strictEqual(result.ok, false);
+    assert.match(result.problems[0], /claude\.exe\.bak: could not read its integrity hash: No ElectronAsar/);
+  });
+
+  it("rejects an app.asar.bak that can't be read", () => {
+    fs.rmSync(install.asarPath + ".bak");
+    const result = verifyLegacyBackup(install);
+    assert.strictEqual(result.ok, false);
+    assert.match(result.problems[0], /app\.asar\.bak: could not read its header/);
+  });
+});
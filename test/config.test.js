@@ -0,0 +1,34 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const { validateConfig, DEFAULT_SELECTORS } = require("../src/config");
+
+describe("selector validation", () => {
+  it("accepts the default selectors and selectors with commas of their own", () => {
+    const selectors = { ...DEFAULT_SELECTORS, text: { add: [":is(p, li) > span", '[title="a, b; c"]', "a\\,b"] } };
+    assert.deepStrictEqual(validateConfig({ selectors }), []);
+  });
+
+  const invalid = [
+    ["a rule", "p { color: red }", /"\{" is not allowed/],
+    ["a declaration", "p;", /";" is not allowed/],
+    ["an unclosed bracket", "a[href", /unclosed "\["/],
+    ["an unclosed parenthesis", "li:not(.x", /unclosed "\("/],
+    ["a stray closing bracket", "p]", /unbalanced "\]"/],
+    ["mismatched brackets", "a[href)", /unbalanced "\)"/],
+    ["an unclosed quote", '[title="x]', /unclosed " quote/],
+    ["a selector list", "p, li", /list each selector separately/],
+  ];
+  for (const [label, selector, problem] of invalid) {
+    it(`rejects ${label}`, () => {
+      const problems = validateConfig({ selectors: { text: ["p", selector] } });
+      assert.strictEqual(problems.length, 1);
+      assert.match(problems[0], /^invalid selector .* in "selectors\.text": /);
+      assert.match(problems[0], problem);
+    });
+  }
+
+  it("checks added selectors but not removed ones", () => {
+    const problems = validateConfig({ selectors: { code: { add: ["pre {"], remove: ["pre {"] } } });
+    assert.deepStrictEqual(problems, ['invalid selector "pre {" in "selectors.code.add": "{" is not allowed in a selector']);
+  });
+});
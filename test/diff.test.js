@@ -0,0 +1,44 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const { unifiedDiff } = require("../src/diff");
+
+const lines = (count, prefix) => Array.from({ length: count }, (_, i) => `${prefix}${i + 1}`);
+const text = (...parts) => parts.flat().join("\n") + "\n";
+
+describe("unifiedDiff", () => {
+  it("shows a short insertion whole, with context", () => {
+    const [a1, a2, a3, a4, a5, a6] = lines(6, "a");
+    const diff = unifiedDiff(text(a1, a2, a3, a4, a5, a6), text(a1, a2, a3, "new", a4, a5, a6));
+    assert.strictEqual(
+      diff,
+      ["--- a", "+++ b", "@@ -1,6 +1,7 @@", " a1", " a2", " a3", "+new", " a4", " a5", " a6"].join("\n")
+    );
+  });
+
+  it("shortens a long insertion to its first and last lines and a count", () => {
+    const diff = unifiedDiff(text("x", "y"), text("x", lines(800, "payload "), "y")).split("\n");
+    assert.deepStrictEqual(diff.slice(2), [
+      "@@ -1,2 +1,802 @@",
+      " x",
+      "+payload 1",
+      "+payload 2",
+      "+payload 3",
+      "+payload 4",
+      "+… (792 more added lines)",
+      "+payload 797",
+      "+payload 798",
+      "+payload 799",
+      "+payload 800",
+      " y",
+    ]);
+  });
+
+  it("shows every line when asked to", () => {
+    const diff = unifiedDiff(text("x"), text("x", lines(20, "p")), { maxChanged: Infinity });
+    assert.strictEqual(diff.split("\n").filter((l) => l.startsWith("+p")).length, 20);
+  });
+
+  it("returns nothing for identical texts", () => {
+    assert.strictEqual(unifiedDiff("same\n", "same\n"), "");
+  });
+});
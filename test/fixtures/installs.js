@@ -0,0 +1,151 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { computeAsarHeaderHash } = require("../../src/integrity");
+const { buildPe, integrityResource } = require("./pe");
+
+/**
+ * Fixture install folders for each layout, built in a temp directory.
+ */
+
+/**
+ * An ASAR archive of { "path/in/archive": contents } files. contents is a
+ * string or Buffer, or { data, executable, unpacked } for the other kinds of
+ * entries (an unpacked file's data is not stored in the archive).
+ * options.blockSize gives every file an integrity block as @electron/asar
+ * writes it; options.indent pretty-prints the header JSON.
+ */
+function buildAsar(files, options = {}) {
+  const header = { files: {} };
+  const blobs = [];
+  let offset = 0;
+  for (const [filePath, contents] of Object.entries(files)) {
+    const file = typeof contents === "string" || Buffer.isBuffer(contents) ? { data: contents } : contents;
+    const data = Buffer.from(file.data);
+    const parts = filePath.split("/");
+    let node = header;
+    for (const dir of parts.slice(0, -1)) {
+      node.files[dir] = node.files[dir] || { files: {} };
+      node = node.files[dir];
+    }
+    const entry = { size: data.length };
+    if (file.unpacked) {
+      entry.unpacked = true;
+    } else {
+      entry.offset = String(offset);
+      blobs.push(data);
+      offset += data.length;
+    }
+    if (file.executable) entry.executable = true;
+    if (options.blockSize) entry.integrity = integrity(data, options.blockSize);
+    node.files[parts[parts.length - 1]] = entry;
+  }
+
+  const headerString = Buffer.from(JSON.stringify(header, null, options.indent));
+  const padded = Math.ceil(headerString.length / 4) * 4;
+  const pickle = Buffer.alloc(16 + padded);
+  pickle.writeUInt32LE(4, 0);
+  pickle.writeUInt32LE(8 + padded, 4);
+  pickle.writeUInt32LE(4 + padded, 8);
+  pickle.writeUInt32LE(headerString.length, 12);
+  headerString.copy(pickle, 16);
+  return Buffer.concat([pickle, ...blobs]);
+}
+
+/**
+ * A file's integrity block: SHA256 of the whole file and of each blockSize
+ * block, the last (possibly empty) one included.
+ */
+function integrity(data, blockSize) {
+  const sha256 = (buf) => crypto.createHash("sha256").update(buf).digest("hex");
+  const blocks = [];
+  let start = 0;
+  do {
+    blocks.push(sha256(data.subarray(start, start + blockSize)));
+    start += blockSize;
+  } while (start <= data.length);
+  return { algorithm: "SHA256", hash: sha256(data), blockSize, blocks };
+}
+
+function write(filePath, contents) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, contents);
+  return filePath;
+}
+
+function appFiles(version) {
+  return {
+    "package.json": JSON.stringify({ name: "claude", version }),
+    ".vite/build/mainView.js": "console.log('mainView');\n",
+  };
+}
+
+/**
+ * %LOCALAPPDATA%\AnthropicClaude\app-X.Y.Z\{claude.exe, resources\app.asar}
+ * for each version. options.withoutExe lists versions left without claude.exe.
+ */
+function makeSquirrelInstall(root, versions, options = {}) {
+  for (const version of versions) {
+    const appDir = path.join(root, `app-${version}`);
+    const asarPath = write(path.join(appDir, "resources", "app.asar"), buildAsar(appFiles(version)));
+    if ((options.withoutExe || []).includes(version)) continue;
+    const hash = computeAsarHeaderHash(asarPath);
+    write(path.join(appDir, "claude.exe"), buildPe([integrityResource({ "resources\\app.asar": hash })]));
+  }
+  return root;
+}
+
+/**
+ * A Claude.app bundle whose Info.plist carries the version, the executable
+ * name and the ElectronAsarIntegrity hash of its app.asar.
+ * options.executable, options.framework (default true), options.version (false: no version key).
+ */
+function makeMacInstall(bundle, version, options = {}) {
+  const contents = path.join(bundle, "Contents");
+  const executable = options.executable || "Claude";
+  const asarPath = write(path.join(contents, "Resources", "app.asar"), buildAsar(appFiles(version)));
+  write(path.join(contents, "MacOS", executable), "binary");
+  if (options.framework !== false) {
+    write(path.join(contents, "Frameworks", "Electron Framework.framework", "Electron Framework"), "binary");
+  }
+  const versionKey =
+    options.version === false ? "" : `\t<key>CFBundleShortVersionString</key>\n\t<string>${version}</string>\n`;
+  write(
+    path.join(contents, "Info.plist"),
+    `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">
+<plist version="1.0">
+<dict>
+\t<key>CFBundleExecutable</key>
+\t<string>${executable}</string>
+${versionKey}\t<key>ElectronAsarIntegrity</key>
+\t<dict>
+\t\t<key>Resources/app.asar</key>
+\t\t<dict>
+\t\t\t<key>algorithm</key>
+\t\t\t<string>SHA256</string>
+\t\t\t<key>hash</key>
+\t\t\t<string>${computeAsarHeaderHash(asarPath)}</string>
+\t\t</dict>
+\t</dict>
+</dict>
+</plist>
+`
+  );
+  return bundle;
+}
+
+/**
+ * A Linux repackage: app.asar in resources/ (or, with options.flat, next to
+ * the binary) and an Electron binary named options.binary (null for none).
+ */
+function makeLinuxInstall(root, version, options = {}) {
+  const files = appFiles(version);
+  if (options.version === false) files["package.json"] = JSON.stringify({ name: "claude" });
+  write(path.join(root, ...(options.flat ? [] : ["resources"]), "app.asar"), buildAsar(files));
+  const binary = options.binary === undefined ? "claude-desktop" : options.binary;
+  if (binary) write(path.join(root, binary), "binary");
+  return root;
+}
+
+module.exports = { buildAsar, integrity, makeSquirrelInstall, makeMacInstall, makeLinuxInstall };
@@ -0,0 +1,139 @@
+/**
+ * Synthetic PE images for tests: DOS header, COFF header, optional header
+ * (PE32 or PE32+) and a single .rsrc section holding a resource tree built
+ * from a flat list of { type, name, data } resources (one language each).
+ * Types and names are strings or numeric ids.
+ */
+
+const FILE_ALIGNMENT = 0x200;
+const SECTION_ALIGNMENT = 0x1000;
+const RSRC_RVA = SECTION_ALIGNMENT;
+const PE_OFFSET = 0x80;
+const LANGUAGE = 1033;
+
+const align = (n, to) => Math.ceil(n / to) * to;
+const dirSize = (count) => 16 + count * 8;
+
+/**
+ * The bytes of a resource section placed at sectionRva.
+ */
+function buildResourceSection(resources, sectionRva) {
+  const types = new Map();
+  for (const { type, name, data } of resources) {
+    if (!types.has(type)) types.set(type, new Map());
+    types.get(type).set(name, Buffer.from(data));
+  }
+
+  // Directories first, then data entries, then name strings, then the data
+  let offset = dirSize(types.size);
+  const typeDirs = [...types].map(([type, names]) => {
+    const dir = { type, names, offset };
+    offset += dirSize(names.size);
+    return dir;
+  });
+  const nameDirs = typeDirs.flatMap((dir) =>
+    [...dir.names].map(([name, data]) => {
+      const entry = { typeDir: dir, name, data, offset };
+      offset += dirSize(1);
+      return entry;
+    })
+  );
+  for (const entry of nameDirs) {
+    entry.dataEntryOffset = offset;
+    offset += 16;
+  }
+  const strings = new Map();
+  for (const name of [...types.keys(), ...nameDirs.map((e) => e.name)]) {
+    if (typeof name !== "string" || strings.has(name)) continue;
+    strings.set(name, offset);
+    offset += 2 + name.length * 2;
+  }
+  offset = align(offset, 4);
+  for (const entry of nameDirs) {
+    entry.dataOffset = offset;
+    offset += align(entry.data.length, 4);
+  }
+
+  const buf = Buffer.alloc(offset);
+  // Named entries come before numeric ones
+  const writeDir = (at, entries) => {
+    const sorted = [...entries].sort((a, b) => (typeof b.name === "string") - (typeof a.name === "string"));
+    buf.writeUInt16LE(sorted.filter((e) => typeof e.name === "string").length, at + 12);
+    buf.writeUInt16LE(sorted.filter((e) => typeof e.name !== "string").length, at + 14);
+    sorted.forEach((e, i) => {
+      const nameField = typeof e.name === "string" ? (0x80000000 | strings.get(e.name)) >>> 0 : e.name;
+      buf.writeUInt32LE(nameField, at + 16 + i * 8);
+      buf.writeUInt32LE(e.isDirectory ? (0x80000000 | e.target) >>> 0 : e.target, at + 20 + i * 8);
+    });
+  };
+
+  writeDir(0, typeDirs.map((d) => ({ name: d.type, target: d.offset, isDirectory: true })));
+  for (const dir of typeDirs) {
+    const entries = nameDirs.filter((e) => e.typeDir === dir);
+    writeDir(dir.offset, entries.map((e) => ({ name: e.name, target: e.offset, isDirectory: true })));
+  }
+  for (const entry of nameDirs) {
+    writeDir(entry.offset, [{ name: LANGUAGE, target: entry.dataEntryOffset, isDirectory: false }]);
+    buf.writeUInt32LE(sectionRva + entry.dataOffset, entry.dataEntryOffset);
+    buf.writeUInt32LE(entry.data.length, entry.dataEntryOffset + 4);
+    entry.data.copy(buf, entry.dataOffset);
+  }
+  for (const [name, at] of strings) {
+    buf.writeUInt16LE(name.length, at);
+    buf.write(name, at + 2, "utf16le");
+  }
+  return buf;
+}
+
+/**
+ * A PE image with the given resources.
+ * options.is64 (default true) picks PE32+; options.checksum is written as is.
+ */
+function buildPe(resources, options = {}) {
+  const is64 = options.is64 !== false;
+  const optionalHeaderSize = is64 ? 240 : 224;
+  const headersSize = align(PE_OFFSET + 24 + optionalHeaderSize + 40, FILE_ALIGNMENT);
+
+  const rsrc = buildResourceSection(resources, RSRC_RVA);
+  const rawSize = align(rsrc.length, FILE_ALIGNMENT);
+  const headers = Buffer.alloc(headersSize);
+
+  headers.write("MZ", 0, "ascii");
+  headers.writeUInt32LE(PE_OFFSET, 0x3c);
+  headers.write("PE\0\0", PE_OFFSET, "ascii");
+  const coff = PE_OFFSET + 4;
+  headers.writeUInt16LE(is64 ? 0x8664 : 0x14c, coff);
+  headers.writeUInt16LE(1, coff + 2);
+  headers.writeUInt16LE(optionalHeaderSize, coff + 16);
+
+  const opt = PE_OFFSET + 24;
+  headers.writeUInt16LE(is64 ? 0x20b : 0x10b, opt);
+  headers.writeUInt32LE(SECTION_ALIGNMENT, opt + 32);
+  headers.writeUInt32LE(FILE_ALIGNMENT, opt + 36);
+  headers.writeUInt32LE(options.checksum || 0, opt + 64);
+  const dirStart = opt + (is64 ? 112 : 96);
+  headers.writeUInt32LE(16, dirStart - 4);
+  headers.writeUInt32LE(RSRC_RVA, dirStart + 2 * 8);
+  headers.writeUInt32LE(rsrc.length, dirStart + 2 * 8 + 4);
+
+  const section = opt + optionalHeaderSize;
+  headers.write(".rsrc", section, "ascii");
+  headers.writeUInt32LE(rsrc.length, section + 8);
+  headers.writeUInt32LE(RSRC_RVA, section + 12);
+  headers.writeUInt32LE(rawSize, section + 16);
+  headers.writeUInt32LE(headersSize, section + 20);
+
+  const body = Buffer.alloc(rawSize);
+  rsrc.copy(body);
+  return Buffer.concat([headers, body]);
+}
+
+/**
+ * The ElectronAsar/Integrity resource for { file: hash } pairs.
+ */
+function integrityResource(hashes) {
+  const entries = Object.entries(hashes).map(([file, value]) => ({ file, alg: "SHA256", value }));
+  return { type: "ELECTRONASAR", name: "INTEGRITY", data: JSON.stringify(entries) };
+}
+
+module.exports = { buildPe, integrityResource };
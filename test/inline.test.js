@@ -0,0 +1,173 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert");
+const { JSDOM } = require("jsdom");
+const { getRtlPayload } = require("../src/rtl-payload");
+const { resolveConfig } = require("../src/config");
+
+const LRI = "\u2066";
+const PDI = "\u2069";
+const isolated = (token) => LRI + token + PDI;
+const countMarks = (text) => (text.match(/[\u2066\u2069]/g) || []).length;
+
+/**
+ * The page script as executeJavaScript receives it: the template literal in
+ * the payload, unescaped.
+ */
+function pageScript(payload) {
+  const match = /executeJavaScript\(`([\s\S]*)`\);/.exec(payload);
+  return eval("`" + match[1] + "`");
+}
+
+const SCRIPT = pageScript(getRtlPayload(resolveConfig()));
+
+describe("inline tokens", () => {
+  let dom;
+  let document;
+
+  // A message with the given paragraphs, processed by the page script
+  function render(...paragraphs) {
+    dom = new JSDOM(
+      `<!DOCTYPE html><body><div class="prose">${paragraphs.map((p) => `<p>${p}</p>`).join("")}</div></body>`,
+      { url: "https://claude.ai/chat/1", runScripts: "outside-only", pretendToBeVisual: true }
+    );
+    document = dom.window.document;
+    dom.window.eval(SCRIPT);
+    return [...document.querySelectorAll("p")];
+  }
+
+  // Let the observer see the mutations and the debounced update run
+  async function nextFrame() {
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    await new Promise((resolve) => dom.window.requestAnimationFrame(resolve));
+  }
+
+  afterEach(() => {
+    dom.window.close();
+  });
+
+  const tokens = [
+    ["a relative path", "src/features/inline.js"],
+    ["an absolute path", "/usr/local/bin"],
+    ["a home path", "~/.config/claude"],
+    ["a Windows path", "C:\\Users\\dana\\AppData"],
+    ["a version", "1.2.3"],
+    ["a prefixed version", "v2.0.1-beta.1"],
+    ["a date", "2024-01-05"],
+    ["a time", "10:30"],
+    ["a URL", "https://example.com/docs?page=2"],
+    ["an @mention", "@dana"],
+    ["an e-mail address", "dana@example.co.il"],
+  ];
+  for (const [label, token] of tokens) {
+    it(`isolates ${label} in RTL text`, () => {
+      const [p] = render(`ראה את ${token} בבקשה`);
+      assert.strictEqual(p.getAttribute("dir"), "rtl");
+      assert.strictEqual(p.textContent, `ראה את ${isolated(token)} בבקשה`);
+    });
+  }
+
+  it("leaves trailing punctuation outside a URL", () => {
+    const [p] = render("הקישור הוא https://example.com/a.");
+    assert.strictEqual(p.textContent, `הקישור הוא ${isolated("https://example.com/a")}.`);
+  });
+
+  it("leaves LTR text and code alone", () => {
+    const [english, code] = render(
+      "See src/index.js and version 1.2.3",
+      "הפעל את <code>npm run build/all 1.2.3</code> עכשיו"
+    );
+    assert.strictEqual(english.textContent, "See src/index.js and version 1.2.3");
+    assert.strictEqual(code.querySelector("code").textContent, "npm run build/all 1.2.3");
+  });
+
+  it("marks each token once when the page is processed again", async () => {
+    const [p] = render("גרסה 1.2.3 בקובץ src/a.js");
+    const expected = `גרסה ${isolated("1.2.3")} בקובץ ${isolated("src/a.js")}`;
+    assert.strictEqual(p.textContent, expected);
+
+    // A node added to the message has its blocks processed again
+    p.appendChild(document.createElement("span"));
+    await nextFrame();
+    assert.strictEqual(p.textContent, expected);
+  });
+
+  it("marks each token once while the text streams in", async () => {
+    const [p] = render("גרסה");
+    const text = p.firstChild;
+    for (const chunk of [" 1.2", ".3 ", "ב-src/", "features/inline.js", " ו-@dana", " עכשיו"]) {
+      text.nodeValue += chunk;
+      await nextFrame();
+    }
+    assert.strictEqual(
+      p.textContent,
+      `גרסה ${isolated("1.2.3")} ב-${isolated("src/features/inline.js")} ו-${isolated("@dana")} עכשיו`
+    );
+    assert.strictEqual(countMarks(p.textContent), 6);
+  });
+
+  it("marks each token once when the page rewrites the text it streams", async () => {
+    const [p] = render("גרסה");
+    const text = p.firstChild;
+    // React writes its own string on every update and never reads the node back
+    let streamed = "גרסה";
+    for (const chunk of [" 1.2", ".3 ", "ב-src/", "a.js", " עכשיו"]) {
+      streamed += chunk;
+      text.nodeValue = streamed;
+      await nextFrame();
+      assert.strictEqual(text.nodeValue.replace(/[\u2066\u2069]/g, ""), streamed);
+    }
+    assert.strictEqual(p.textContent, `גרסה ${isolated("1.2.3")} ב-${isolated("src/a.js")} עכשיו`);
+  });
+
+  it("removes the marks when a block stops being RTL", async () => {
+    const [p] = render("גרסה 1.2.3");
+    assert.strictEqual(countMarks(p.textContent), 2);
+    p.firstChild.nodeValue = "Version 1.2.3";
+    await nextFrame();
+    assert.strictEqual(p.hasAttribute("dir"), false);
+    assert.strictEqual(p.textContent, "Version 1.2.3");
+  });
+
+  describe("copying", () => {
+    let copied;
+
+    function copy(node) {
+      const selection = dom.window.getSelection();
+      const range = document.createRange();
+      range.selectNodeContents(node);
+      selection.removeAllRanges();
+      selection.addRange(range);
+
+      copied = {};
+      const event = new dom.window.Event("copy", { bubbles: true, cancelable: true });
+      event.clipboardData = {
+        setData: (type, data) => {
+          copied[type] = data;
+        },
+      };
+      node.dispatchEvent(event);
+      return event;
+    }
+
+    beforeEach(() => {
+      copied = null;
+    });
+
+    it("strips the marks from the copied text and HTML", () => {
+      const [p] = render("ראה <strong>src/a.js</strong> בגרסה 1.2.3");
+      assert.strictEqual(countMarks(p.textContent), 4);
+
+      const event = copy(p);
+      assert.strictEqual(event.defaultPrevented, true);
+      assert.strictEqual(copied["text/plain"], "ראה src/a.js בגרסה 1.2.3");
+      assert.strictEqual(copied["text/html"], "ראה <strong>src/a.js</strong> בגרסה 1.2.3");
+    });
+
+    it("leaves a copy without marks to the browser", () => {
+      const [p] = render("שלום עולם");
+      const event = copy(p);
+      assert.strictEqual(event.defaultPrevented, false);
+      assert.deepStrictEqual(copied, {});
+    });
+  });
+});
@@ -0,0 +1,200 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { LAYOUTS, getPlatformLayout } = require("../src/layouts");
+const { findInstallRoot, findClaudeInstall, findAllClaudeInstalls } = require("../src/finder");
+const { readInstallHash, computeAsarHeaderHash } = require("../src/integrity");
+const { makeSquirrelInstall, makeMacInstall, makeLinuxInstall } = require("./fixtures/installs");
+
+const layout = (name) => LAYOUTS.find((l) => l.name === name);
+
+let dir;
+let savedInstallDir;
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "rtl-layouts-"));
+  savedInstallDir = process.env.CLAUDE_RTL_INSTALL_DIR;
+  delete process.env.CLAUDE_RTL_INSTALL_DIR;
+});
+afterEach(() => {
+  if (savedInstallDir === undefined) delete process.env.CLAUDE_RTL_INSTALL_DIR;
+  else process.env.CLAUDE_RTL_INSTALL_DIR = savedInstallDir;
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe("squirrel layout", () => {
+  it("lists every app-X.Y.Z folder, newest first", () => {
+    const root = makeSquirrelInstall(path.join(dir, "AnthropicClaude"), ["1.2.3", "1.10.0", "1.9.9"]);
+    fs.mkdirSync(path.join(root, "app-latest"));
+    fs.mkdirSync(path.join(root, "packages"));
+
+    assert.strictEqual(layout("squirrel").matches(root), true);
+    const installs = layout("squirrel").listInstalls(root);
+    assert.deepStrictEqual(
+      installs.map((i) => i.version),
+      ["1.10.0", "1.9.9", "1.2.3"]
+    );
+
+    const [newest] = installs;
+    const appDir = path.join(root, "app-1.10.0");
+    assert.deepStrictEqual(newest.allVersions, ["1.10.0", "1.9.9", "1.2.3"]);
+    assert.strictEqual(newest.layout, "squirrel");
+    assert.strictEqual(newest.asarPath, path.join(appDir, "resources", "app.asar"));
+    assert.strictEqual(newest.exePath, path.join(appDir, "claude.exe"));
+    assert.strictEqual(newest.hashPath, newest.exePath);
+    assert.strictEqual(newest.hashFormat, "pe");
+    assert.strictEqual(readInstallHash(newest).hash, computeAsarHeaderHash(newest.asarPath));
+  });
+
+  it("reports a version folder with missing files", () => {
+    const root = makeSquirrelInstall(path.join(dir, "AnthropicClaude"), ["1.2.3", "1.3.0"], {
+      withoutExe: ["1.3.0"],
+    });
+    const [incomplete, complete] = layout("squirrel").listInstalls(root);
+    assert.strictEqual(incomplete.found, false);
+    assert.strictEqual(incomplete.version, "1.3.0");
+    assert.match(incomplete.error, /missing files:\n {2}- claude\.exe: /);
+    assert.strictEqual(complete.found, true);
+  });
+
+  it("does not match a folder without version folders", () => {
+    assert.strictEqual(layout("squirrel").matches(dir), false);
+  });
+});
+
+describe("macos layout", () => {
+  it("reads the version, executable and integrity hash from Info.plist", () => {
+    const bundle = makeMacInstall(path.join(dir, "Claude.app"), "0.9.1", { executable: "Claude Helper" });
+
+    // Either the bundle itself or the folder holding it
+    for (const root of [bundle, dir]) {
+      assert.strictEqual(layout("macos").matches(root), true);
+      const [install] = layout("macos").listInstalls(root);
+      assert.strictEqual(install.found, true);
+      assert.strictEqual(install.version, "0.9.1");
+      assert.strictEqual(install.appDir, bundle);
+      assert.strictEqual(install.exePath, path.join(bundle, "Contents", "MacOS", "Claude Helper"));
+      assert.strictEqual(
+        install.fusesPath,
+        path.join(bundle, "Contents", "Frameworks", "Electron Framework.framework", "Electron Framework")
+      );
+      assert.strictEqual(install.hashPath, path.join(bundle, "Contents", "Info.plist"));
+      assert.strictEqual(install.hashFormat, "plist");
+      assert.strictEqual(install.hashKey, "Resources/app.asar");
+      assert.strictEqual(readInstallHash(install).hash, computeAsarHeaderHash(install.asarPath));
+    }
+  });
+
+  it("has no fuses path without the Electron framework", () => {
+    const bundle = makeMacInstall(path.join(dir, "Claude.app"), "0.9.1", { framework: false });
+    assert.strictEqual(layout("macos").listInstalls(bundle)[0].fusesPath, null);
+  });
+
+  it("reports an Info.plist without a version", () => {
+    const bundle = makeMacInstall(path.join(dir, "Claude.app"), "0.9.1", { version: false });
+    const [install] = layout("macos").listInstalls(bundle);
+    assert.strictEqual(install.found, false);
+    assert.match(install.error, /No CFBundleShortVersionString/);
+  });
+
+  it("reports a bundle without app.asar", () => {
+    const bundle = makeMacInstall(path.join(dir, "Claude.app"), "0.9.1");
+    fs.rmSync(path.join(bundle, "Contents", "Resources", "app.asar"));
+    const [install] = layout("macos").listInstalls(bundle);
+    assert.strictEqual(install.found, false);
+    assert.match(install.error, /app\.asar: /);
+  });
+});
+
+describe("linux layout", () => {
+  it("reads the version from package.json inside app.asar", () => {
+    const root = makeLinuxInstall(path.join(dir, "claude-desktop"), "0.8.0");
+    assert.strictEqual(layout("linux").matches(root), true);
+    const [install] = layout("linux").listInstalls(root);
+    assert.strictEqual(install.found, true);
+    assert.strictEqual(install.version, "0.8.0");
+    assert.strictEqual(install.asarPath, path.join(root, "resources", "app.asar"));
+    assert.strictEqual(install.resourcesDir, path.join(root, "resources"));
+    assert.strictEqual(install.exePath, path.join(root, "claude-desktop"));
+    assert.strictEqual(install.hashPath, null);
+    assert.strictEqual(install.hashFormat, null);
+  });
+
+  it("finds app.asar next to the binary, and works without a binary", () => {
+    const root = makeLinuxInstall(path.join(dir, "Claude"), "0.8.0", { flat: true, binary: null });
+    const [install] = layout("linux").listInstalls(root);
+    assert.strictEqual(install.asarPath, path.join(root, "app.asar"));
+    assert.strictEqual(install.resourcesDir, root);
+    assert.strictEqual(install.exePath, null);
+  });
+
+  it("reports an app.asar without a version", () => {
+    const root = makeLinuxInstall(path.join(dir, "claude-desktop"), "0.8.0", { version: false });
+    const [install] = layout("linux").listInstalls(root);
+    assert.strictEqual(install.found, false);
+    assert.match(install.error, /No version in package\.json/);
+  });
+});
+
+describe("getPlatformLayout", () => {
+  it("picks the installer's layout for each platform", () => {
+    assert.strictEqual(getPlatformLayout("win32").name, "squirrel");
+    assert.strictEqual(getPlatformLayout("darwin").name, "macos");
+    assert.strictEqual(getPlatformLayout("linux").name, "linux");
+  });
+});
+
+describe("custom install folders", () => {
+  it("detects the layout of an --install-dir folder", () => {
+    const squirrel = makeSquirrelInstall(path.join(dir, "win"), ["1.2.3"]);
+    const mac = path.dirname(makeMacInstall(path.join(dir, "mac", "Claude.app"), "0.9.1"));
+    const linux = makeLinuxInstall(path.join(dir, "linux"), "0.8.0");
+
+    for (const [root, name, version] of [
+      [squirrel, "squirrel", "1.2.3"],
+      [mac, "macos", "0.9.1"],
+      [linux, "linux", "0.8.0"],
+    ]) {
+      const location = findInstallRoot({ installDir: root });
+      assert.strictEqual(location.found, true);
+      assert.strictEqual(location.layout.name, name);
+      assert.strictEqual(findClaudeInstall({ installDir: root }).version, version);
+    }
+  });
+
+  it("reads CLAUDE_RTL_INSTALL_DIR, with --install-dir taking precedence", () => {
+    const fromEnv = makeSquirrelInstall(path.join(dir, "env"), ["1.2.3", "1.3.0"]);
+    const fromOption = makeLinuxInstall(path.join(dir, "option"), "0.8.0");
+    process.env.CLAUDE_RTL_INSTALL_DIR = fromEnv;
+
+    assert.strictEqual(findInstallRoot().root, fromEnv);
+    assert.deepStrictEqual(findAllClaudeInstalls().versions, ["1.3.0", "1.2.3"]);
+    assert.strictEqual(findClaudeInstall({ version: "1.2.3" }).version, "1.2.3");
+    assert.strictEqual(findInstallRoot({ installDir: fromOption }).layout.name, "linux");
+  });
+
+  it("resolves a relative folder", () => {
+    const root = makeLinuxInstall(path.join(dir, "relative"), "0.8.0");
+    const location = findInstallRoot({ installDir: path.relative(process.cwd(), root) });
+    assert.strictEqual(location.root, root);
+  });
+
+  it("reports a folder that doesn't exist or holds no install", () => {
+    const missing = findInstallRoot({ installDir: path.join(dir, "nope") });
+    assert.strictEqual(missing.found, false);
+    assert.strictEqual(missing.code, "NOT_INSTALLED");
+    assert.match(missing.error, /Install folder not found/);
+
+    const empty = findInstallRoot({ installDir: dir });
+    assert.strictEqual(empty.found, false);
+    assert.match(empty.error, /No Claude Desktop install found in .*\n {2}Expected one of:/);
+  });
+
+  it("reports a version that isn't installed", () => {
+    const root = makeSquirrelInstall(path.join(dir, "win"), ["1.2.3"]);
+    const result = findClaudeInstall({ installDir: root, version: "2.0.0" });
+    assert.strictEqual(result.found, false);
+    assert.match(result.error, /v2\.0\.0 is not installed\.\n {2}Installed versions: 1\.2\.3/);
+  });
+});
@@ -0,0 +1,74 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert");
+const { JSDOM } = require("jsdom");
+const { getRtlPayload } = require("../src/rtl-payload");
+const { resolveConfig } = require("../src/config");
+
+const SCRIPT = (() => {
+  const match = /executeJavaScript\(`([\s\S]*)`\);/.exec(getRtlPayload(resolveConfig()));
+  return eval("`" + match[1] + "`");
+})();
+
+describe("per-message overrides", () => {
+  let dom;
+  let document;
+
+  function render(html) {
+    dom = new JSDOM(`<!DOCTYPE html><body><div id="root">${html}</div></body>`, {
+      url: "https://claude.ai/chat/1",
+      runScripts: "outside-only",
+      pretendToBeVisual: true,
+    });
+    document = dom.window.document;
+    dom.window.eval(SCRIPT);
+    return document.querySelector("[data-rtl-fixer-override]");
+  }
+
+  const hover = (el) => el.dispatchEvent(new dom.window.MouseEvent("mouseover", { bubbles: true }));
+
+  afterEach(() => {
+    dom.window.close();
+  });
+
+  it("keeps the control out of the messages", () => {
+    const control = render('<div class="prose"><p>Hello world</p></div>');
+    assert.strictEqual(control.parentElement, document.body);
+    assert.strictEqual(document.querySelector(".prose [data-rtl-fixer-override]"), null);
+    assert.strictEqual(document.querySelector(".prose").hasAttribute("data-rtl-message"), true);
+  });
+
+  it("shows the control over the hovered message and sets its direction", () => {
+    const control = render('<div class="prose" data-message-id="m1"><p>Hello world</p></div>');
+    const message = document.querySelector(".prose");
+    assert.strictEqual(control.hasAttribute("data-visible"), false);
+
+    hover(message.querySelector("p"));
+    assert.strictEqual(control.hasAttribute("data-visible"), true);
+    assert.strictEqual(control.getAttribute("data-label"), "auto");
+
+    // Moving onto the control keeps it on the message
+    hover(control);
+    control.click();
+    assert.strictEqual(control.getAttribute("data-label"), "RTL");
+    assert.strictEqual(message.querySelector("p").getAttribute("dir"), "rtl");
+    const stored = JSON.parse(dom.window.localStorage.getItem("claude-rtl-fixer:overrides"));
+    assert.deepStrictEqual(stored, { "/chat/1": { "id:m1": "rtl" } });
+
+    hover(document.body);
+    assert.strictEqual(control.hasAttribute("data-visible"), false);
+  });
+
+  it("survives the page re-rendering a message", async () => {
+    const control = render('<div class="prose" data-message-id="m1"><p>Hello world</p></div>');
+    const message = document.querySelector(".prose");
+    hover(message);
+    control.click();
+
+    // What React does when it reconciles the message: its children are replaced
+    message.replaceChildren(document.createElement("p"));
+    message.firstChild.textContent = "Hello again";
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.strictEqual(message.firstChild.getAttribute("dir"), "rtl");
+    assert.strictEqual(control.isConnected, true);
+  });
+});
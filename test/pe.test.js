@@ -0,0 +1,197 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { readPeHeaders, findResource, computePeChecksum } = require("../src/pe");
+const { readIntegrityResource, readEmbeddedHash, patchExeHash } = require("../src/integrity");
+const { buildPe, integrityResource } = require("./fixtures/pe");
+
+const HASH_A = "a".repeat(64);
+const HASH_B = "b".repeat(64);
+const HASH_NEW = "0123456789abcdef".repeat(4);
+
+/**
+ * The CheckSum as CheckSumMappedFile computes it: 16-bit words with the
+ * carries folded back in, the CheckSum field counted as zero, plus the length.
+ */
+function referenceChecksum(buf) {
+  const checksumOffset = buf.readUInt32LE(0x3c) + 24 + 64;
+  let sum = 0;
+  for (let i = 0; i < buf.length; i += 2) {
+    if (i >= checksumOffset && i < checksumOffset + 4) continue;
+    sum += i + 1 < buf.length ? buf.readUInt16LE(i) : buf[i];
+    sum = (sum & 0xffff) + (sum >>> 16);
+  }
+  return (((sum & 0xffff) + (sum >>> 16)) & 0xffff) + buf.length;
+}
+
+describe("PE resources", () => {
+  let dir;
+  const write = (name, buf) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, buf);
+    return file;
+  };
+  const withFd = (file, fn) => {
+    const fd = fs.openSync(file, "r");
+    try {
+      return fn(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "rtl-pe-"));
+  });
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  for (const is64 of [true, false]) {
+    it(`finds resources among several types and names (${is64 ? "PE32+" : "PE32"})`, () => {
+      const exe = write(
+        "claude.exe",
+        buildPe(
+          [
+            { type: 16, name: 1, data: "version info" },
+            { type: 24, name: 1, data: "<assembly/>" },
+            { type: "ELECTRONASAR", name: "OTHER", data: "not this one" },
+            integrityResource({ "resources\\app.asar": HASH_A }),
+          ],
+          { is64 }
+        )
+      );
+
+      withFd(exe, (fd) => {
+        const pe = readPeHeaders(fd);
+        assert.strictEqual(pe.is64, is64);
+        const manifest = findResource(fd, pe, 24, 1);
+        const bytes = fs.readFileSync(exe).subarray(manifest.offset, manifest.offset + manifest.size);
+        assert.strictEqual(bytes.toString("utf-8"), "<assembly/>");
+        assert.strictEqual(findResource(fd, pe, "ElectronAsar", "Missing"), null);
+        assert.strictEqual(findResource(fd, pe, 3, 1), null);
+      });
+      assert.strictEqual(readEmbeddedHash(exe).hash, HASH_A);
+    });
+  }
+
+  it("reads every entry of the integrity resource", () => {
+    const exe = write(
+      "claude.exe",
+      buildPe([integrityResource({ "resources\\app.asar": HASH_A, "resources\\other.asar": HASH_A })])
+    );
+
+    const resource = readIntegrityResource(exe);
+    assert.strictEqual(resource.found, true);
+    assert.deepStrictEqual(
+      resource.entries.map((e) => e.file),
+      ["resources\\app.asar", "resources\\other.asar"]
+    );
+    // Identical hashes still get their own positions
+    assert.notStrictEqual(resource.positions[0], resource.positions[1]);
+    assert.strictEqual(readEmbeddedHash(exe, "resources/other.asar").found, true);
+    assert.match(readEmbeddedHash(exe, "resources\\missing.asar").error, /no entry for resources\\missing\.asar/);
+  });
+
+  it("reports a missing integrity resource", () => {
+    const exe = write("claude.exe", buildPe([{ type: 16, name: 1, data: "version info" }]));
+    const result = readEmbeddedHash(exe);
+    assert.strictEqual(result.found, false);
+    assert.match(result.error, /No ElectronAsar\/Integrity resource/);
+  });
+
+  const malformed = [
+    ["invalid JSON", "[{not json", /not valid JSON/],
+    ["an empty array", "[]", /expected a non-empty JSON array/],
+    ["an object", JSON.stringify({ file: "resources\\app.asar" }), /expected a non-empty JSON array/],
+    [
+      "an entry with a bad hash",
+      JSON.stringify([{ file: "resources\\app.asar", alg: "SHA256", value: "xyz" }]),
+      /unexpected entry/,
+    ],
+    [
+      "an entry with another algorithm",
+      JSON.stringify([{ file: "resources\\app.asar", alg: "MD5", value: HASH_A }]),
+      /unexpected entry/,
+    ],
+  ];
+  for (const [label, data, error] of malformed) {
+    it(`reports an integrity resource with ${label}`, () => {
+      const exe = write("claude.exe", buildPe([{ type: "ELECTRONASAR", name: "INTEGRITY", data }]));
+      const result = readIntegrityResource(exe);
+      assert.strictEqual(result.found, false);
+      assert.match(result.error, error);
+    });
+  }
+
+  it("reports a resource tree that points outside the file's sections", () => {
+    const buf = buildPe([integrityResource({ "resources\\app.asar": HASH_A })]);
+    // The data entry's RVA is the first word of the .rsrc section after the directories
+    const rsrcStart = buf.indexOf(Buffer.from(".rsrc")) + 20;
+    const rsrcOffset = buf.readUInt32LE(rsrcStart);
+    const dataEntry = rsrcOffset + 16 + 8 + (16 + 8) + (16 + 8);
+    buf.writeUInt32LE(0x7fff0000, dataEntry);
+    const result = readIntegrityResource(write("claude.exe", buf));
+    assert.strictEqual(result.found, false);
+    assert.match(result.error, /Could not read claude\.exe resources: RVA 0x7fff0000/);
+  });
+
+  it("reports a file that is not a PE image", () => {
+    const result = readIntegrityResource(write("claude.exe", Buffer.from("not an exe, just text ".repeat(10))));
+    assert.strictEqual(result.found, false);
+    assert.match(result.error, /missing MZ signature/);
+  });
+
+  it("rewrites only the requested entry and keeps the resource size", () => {
+    const exe = write(
+      "claude.exe",
+      buildPe([integrityResource({ "resources\\other.asar": HASH_A, "resources\\app.asar": HASH_A })])
+    );
+    const before = fs.readFileSync(exe);
+    const { size } = readIntegrityResource(exe);
+
+    const result = patchExeHash(exe, HASH_A, HASH_NEW);
+    assert.strictEqual(result.success, true);
+
+    const after = readIntegrityResource(exe);
+    assert.strictEqual(after.size, size);
+    assert.deepStrictEqual(
+      after.entries.map((e) => e.value),
+      [HASH_A, HASH_NEW]
+    );
+    assert.strictEqual(fs.statSync(exe).size, before.length);
+  });
+
+  it("refuses to rewrite a hash that isn't the expected one", () => {
+    const exe = write("claude.exe", buildPe([integrityResource({ "resources\\app.asar": HASH_A })]));
+    const before = fs.readFileSync(exe);
+    const result = patchExeHash(exe, HASH_B, HASH_NEW);
+    assert.strictEqual(result.success, false);
+    assert.match(result.error, /not the expected one/);
+    assert.deepStrictEqual(fs.readFileSync(exe), before);
+  });
+
+  for (const is64 of [true, false]) {
+    it(`recomputes the CheckSum after rewriting the hash (${is64 ? "PE32+" : "PE32"})`, () => {
+      const buf = buildPe([integrityResource({ "resources\\app.asar": HASH_A })], { is64 });
+      buf.writeUInt32LE(referenceChecksum(buf), buf.readUInt32LE(0x3c) + 24 + 64);
+      const exe = write("claude.exe", buf);
+
+      const result = patchExeHash(exe, HASH_A, HASH_NEW);
+      assert.strictEqual(result.success, true);
+
+      const patched = fs.readFileSync(exe);
+      const expected = referenceChecksum(patched);
+      assert.strictEqual(result.checksum.oldChecksum, referenceChecksum(buf));
+      assert.strictEqual(result.checksum.newChecksum, expected);
+      assert.notStrictEqual(expected, result.checksum.oldChecksum);
+      withFd(exe, (fd) => {
+        const pe = readPeHeaders(fd);
+        assert.strictEqual(pe.checksum, expected);
+        assert.strictEqual(computePeChecksum(fd, pe), expected);
+      });
+    });
+  }
+});
@@ -0,0 +1,61 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert");
+const { spawn } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { isClaudeRunning } = require("../src/patcher");
+const { makeLinuxInstall } = require("./fixtures/installs");
+const { LAYOUTS } = require("../src/layouts");
+
+const linux = LAYOUTS.find((l) => l.name === "linux");
+
+describe("isClaudeRunning on Linux", { skip: process.platform !== "linux" }, () => {
+  let dir;
+  let claude;
+  let other;
+  const children = [];
+
+  // Run a copy of sh as root/name, waiting a while, with args on its command line
+  function runAs(root, name, args = []) {
+    const binary = path.join(root, name);
+    fs.mkdirSync(path.dirname(binary), { recursive: true });
+    fs.copyFileSync(fs.realpathSync("/bin/sh"), binary);
+    fs.chmodSync(binary, 0o755);
+    const child = spawn(binary, ["-c", "sleep 30; :", ...args], { stdio: "ignore", detached: true });
+    children.push(child);
+    return new Promise((resolve) => child.once("spawn", resolve));
+  }
+
+  const install = (name, options) => linux.listInstalls(makeLinuxInstall(path.join(dir, name), "0.8.0", options))[0];
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "rtl-running-"));
+    claude = install("claude-desktop", { binary: "electron" });
+    other = install("other", { binary: "electron" });
+  });
+  after(() => {
+    // The whole group, so sh's sleep goes too
+    for (const child of children) process.kill(-child.pid);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("ignores another Electron app's electron binary", async () => {
+    await runAs(path.join(dir, "vscode"), "electron");
+    await runAs(path.join(dir, "slack", "node_modules/electron/dist"), "electron");
+    assert.strictEqual(isClaudeRunning(claude), false);
+  });
+
+  it("finds a binary inside the install folder", async () => {
+    await runAs(claude.appDir, "electron");
+    assert.strictEqual(isClaudeRunning(claude), true);
+    assert.strictEqual(isClaudeRunning(other), false);
+  });
+
+  it("finds a generic Electron binary started with the install's app.asar", async () => {
+    const repackage = install("system-electron", { binary: null });
+    assert.strictEqual(isClaudeRunning(repackage), false);
+    await runAs(path.join(dir, "usr-lib-electron"), "electron", [repackage.asarPath]);
+    assert.strictEqual(isClaudeRunning(repackage), true);
+  });
+});